@@ -0,0 +1,3621 @@
+import {
+    Client, GatewayIntentBits, EmbedBuilder, ChannelType, MessageFlags, ThreadAutoArchiveDuration, PermissionFlagsBits,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder
+} from 'discord.js';
+import { Octokit } from '@octokit/rest';
+import dotenv from 'dotenv';
+import path from 'path';
+import JsonStore from './storage.mjs';
+import GitHubCache from './github.mjs';
+import UpdateScheduler from './scheduler.mjs';
+import Metrics from './metrics.mjs';
+import GroupRule from './rules.mjs';
+import commands from './commands.mjs';
+
+// Load environment variables
+dotenv.config();
+
+// Configuration
+const config = {
+    // Discord Bot Token (get from Discord Developer Portal)
+    DISCORD_TOKEN: process.env.DISCORD_TOKEN,
+
+    // GitHub Personal Access Token (optional for public repos)
+    // Without token: 60 requests/hour | With token: 5000 requests/hour
+    GITHUB_TOKEN: process.env.GITHUB_TOKEN,
+
+    // GitHub API URL, e.g. for GitHub Enterprise or a local mock server (default: https://api.github.com)
+    GITHUB_API_URL: process.env.GITHUB_API_URL,
+
+    // Default repository (owner/repo format) - servers can override it with /tracker config
+    REPO_OWNER: process.env.REPO_OWNER || 'gwdevhub',
+    REPO_NAME: process.env.REPO_NAME || 'GWToolboxpp',
+
+    // Default Discord channel name where issues will be posted (used until a server sets a channel)
+    ISSUES_CHANNEL: 'github-issues',
+
+    // Directory for persistent data (per-server configuration, board message IDs, issue snapshots)
+    DATA_DIR: process.env.DATA_DIR || './data',
+
+    // How many channel messages to check for orphaned or duplicate board embeds
+    CLEANUP_SCAN_LIMIT: 500,
+
+    // Board groups, each with a rule (see rules.mjs) and optional title, emoji and color
+    // ORDER MATTERS: Issues matching several groups are placed in the first one (unless a server enables multi-group)
+    // A group named '*' becomes one group per GitHub label that matches its rule
+    ISSUE_GROUPS: [
+        { name: 'pending release', rule: 'label:"pending release"' },
+        { name: 'help wanted', rule: 'label:"help wanted"' },
+        { name: 'bug', rule: 'label:bug' },
+        { name: 'feature request', rule: 'label:"feature request"' },
+        { name: 'enhancement', rule: 'label:enhancement' },
+        { name: 'unlabeled', rule: 'label:none', color: 0x666666 }
+    ],
+
+    // How often to check for updates (in minutes)
+    UPDATE_INTERVAL: 5,
+
+    // GitHub webhook secret (enables POST /github/webhook for instant updates)
+    GITHUB_WEBHOOK_SECRET: process.env.GITHUB_WEBHOOK_SECRET,
+
+    // Polling interval used as a fallback when webhooks are enabled (in minutes)
+    WEBHOOK_FALLBACK_INTERVAL: 30,
+
+    // Delay used to batch bursts of webhook deliveries (in seconds)
+    WEBHOOK_DEBOUNCE: 3,
+
+    // How long an issue draft from /issue create waits for labels and confirmation (in minutes)
+    ISSUE_DRAFT_TIMEOUT: 15,
+
+    // How long the page buttons of /issue search results keep working (in minutes), and results per page
+    ISSUE_SEARCH_TIMEOUT: 15,
+    ISSUE_SEARCH_PAGE_SIZE: 10,
+
+    // Maximum issues to show per label
+    MAX_ISSUES_PER_LABEL: 100,
+
+    // Default time a member has to wait between refresh/rebuild commands (in seconds)
+    REFRESH_COOLDOWN: 60,
+
+    // Audit entries kept per server
+    AUDIT_LOG_LIMIT: 500,
+
+    // GET /readyz fails when GitHub hasn't answered for this many update intervals
+    READY_MAX_MISSED_INTERVALS: 3,
+
+    // Digests: default time of day and time zone, days without activity before an issue is stale,
+    // issues in the 👍 section and issues listed per section
+    DIGEST_TIME: '09:00',
+    DIGEST_TIMEZONE: 'UTC',
+    STALE_DAYS: 30,
+    DIGEST_TOP_ISSUES: 5,
+    DIGEST_SECTION_LIMIT: 15,
+
+    // Forum channels: new issue posts created per update (the rest follow in the next updates)
+    FORUM_POSTS_PER_UPDATE: 25,
+
+    // Issue reference unfurling: at most this many references per message, and per channel per minute
+    UNFURL_MAX_REFERENCES: 3,
+    UNFURL_RATE_LIMIT: 5,
+
+    // How each issue is shown in a label embed - see ISSUE_LINE_PLACEHOLDERS for the placeholders
+    ISSUE_LINE_TEMPLATE: '**[#{number}]({url})** {title}',
+
+    // Order of issues inside an embed: updated, created, reactions or comments (most first)
+    ISSUE_SORT_ORDER: 'updated'
+};
+
+// Placeholders available in issue line templates
+const ISSUE_LINE_PLACEHOLDERS = ['number', 'title', 'url', 'repository', 'author', 'assignees', 'created', 'updated', 'comments', 'reactions', 'labels'];
+
+// Pull request board groups, in display order
+// Each PR lands in the first group of PULL_REQUEST_GROUP_PRIORITY that it matches
+const PULL_REQUEST_GROUPS = [
+    { key: 'draft', title: 'Draft', emoji: '📝', color: 0x6e7781, query: 'draft%3Atrue' },
+    { key: 'awaiting review', title: 'Awaiting Review', emoji: '👀', color: 0xbf8700, query: 'draft%3Afalse+review%3Arequired' },
+    { key: 'changes requested', title: 'Changes Requested', emoji: '✋', color: 0xfb8500, query: 'draft%3Afalse+review%3Achanges_requested' },
+    { key: 'approved', title: 'Approved', emoji: '✅', color: 0x2ea043, query: 'draft%3Afalse+review%3Aapproved' },
+    { key: 'no review required', title: 'No Review Required', emoji: '🟢', color: 0x1f883d, query: 'draft%3Afalse+-review%3Arequired' },
+    { key: 'failing checks', title: 'Failing Checks', emoji: '❌', color: 0xcf222e, query: 'draft%3Afalse+status%3Afailure' }
+];
+const PULL_REQUEST_GROUP_PRIORITY = ['draft', 'failing checks', 'changes requested', 'approved', 'no review required', 'awaiting review'];
+
+// Days of weekly digests, in JavaScript's getDay() order
+const DIGEST_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Marks GitHub comments posted from a forum post, so they aren't mirrored back into it
+const FORUM_REPLY_MARKER = '<!-- discord-message:';
+
+// Footer of every board embed, cleanup only deletes bot messages that have it
+const BOARD_FOOTER = 'Last updated';
+
+// Embed color of groups without a color of their own or a GitHub label
+const DEFAULT_GROUP_COLOR = 0x7289da;
+
+// Board commands that can be granted to roles and users with /tracker permissions
+// Server admins can always run them, everyone else needs a grant unless "everyone" is set
+// Commands with a cooldown share one per-user timer
+const BOT_COMMANDS = {
+    'refresh-issues': { everyone: false, cooldown: true },
+    'refresh-labels': { everyone: false, cooldown: true },
+    'rebuild': { everyone: false, cooldown: true },
+    'status': { everyone: true, cooldown: false }
+};
+
+class MultiServerGitHubIssuesBot {
+    // Discord and GitHub can be swapped for adapters (dry runs, tests), by default the bot connects to both:
+    //   client   discord.js Client, or an object with the parts the bot uses (guilds.cache, user, on, login...)
+    //   github   GitHubCache, or an object with the same methods (see FixtureGitHub in github-fixture.mjs)
+    //   dataDir  directory for the persistent stores
+    constructor({ client, github, dataDir = config.DATA_DIR } = {}) {
+        this.client = client ?? new Client({
+            intents: [
+                GatewayIntentBits.Guilds,
+                GatewayIntentBits.GuildMessages,
+                GatewayIntentBits.MessageContent
+            ]
+        });
+
+        // Prometheus metrics for GET /metrics
+        this.metrics = new Metrics();
+        this.metrics.counter('discord_messages_total', 'Board and log messages sent, edited or deleted on Discord');
+        this.metrics.counter('bot_errors_total', 'Errors by where they happened');
+        this.metrics.counter('update_cycles_total', 'Update cycles by result');
+        this.metrics.summary('update_cycle_duration_seconds', 'Duration of update cycles');
+        this.metrics.gauge('github_rate_limit_remaining', 'Remaining GitHub requests by rate limit resource', () =>
+            Array.from(this.github.rateLimits, ([resource, { remaining }]) => ({ labels: { resource }, value: remaining })));
+        this.metrics.gauge('discord_gateway_connected', 'Whether the Discord gateway connection is ready', () => this.client.isReady() ? 1 : 0);
+        this.metrics.gauge('tracked_servers', 'Servers with an issue board', () => this.servers.size);
+
+        // Shared, ETag-cached issue and label data for all servers
+        this.github = github ?? new GitHubCache(this.createOctokit(), this.metrics);
+
+        // Multi-server data storage: guildId -> { settings, issuesChannel, messageIds, availableLabels, groups }
+        this.servers = new Map();
+
+        // Persistent per-server configuration: guildId -> overrides of the defaults in config
+        this.guildConfigs = new JsonStore(path.join(dataDir, 'guilds.json'));
+
+        // Issue and label subscriptions: guildId -> { issues: { "owner/repo#123": [userId] }, labels: { label: [userId] } }
+        this.subscriptions = new JsonStore(path.join(dataDir, 'subscriptions.json'));
+
+        // Persistent board message registry: guildId -> { channelId, messages: { messageKey: messageId } }
+        this.messageRegistry = new JsonStore(path.join(dataDir, 'messages.json'));
+
+        // Last known state of every open issue, used to detect changes between updates:
+        // guildId -> {
+        //     repositories: { repository: { groupRules, issues: { number: { title, group, labels, comments } } } },
+        //     shipped: { repository: [{ number, title }] }, // Pending release issues closed before the release
+        //     releases: { repository: publishedAt }, // Newest release already seen
+        //     activityThreadId
+        // }
+        this.issueSnapshots = new JsonStore(path.join(dataDir, 'snapshots.json'));
+
+        this.lastUpdate = new Date();
+
+        // Pending targeted refreshes (webhooks, issues created from Discord):
+        // repository -> { labels to update (null = all), whether labels must be re-fetched }
+        this.pendingRefreshes = new Map();
+        this.refreshTimer = null;
+
+        // Issues being created from Discord: draftId -> { guildId, userId, repository, title, body, labels, expiresAt }
+        this.issueDrafts = new Map();
+
+        // Update cycles, with backoff and rate limit awareness (slow fallback when webhooks push changes)
+        const updateInterval = config.GITHUB_WEBHOOK_SECRET ? config.WEBHOOK_FALLBACK_INTERVAL : config.UPDATE_INTERVAL;
+        this.scheduler = new UpdateScheduler(this.github, () => this.updateAllServers(), updateInterval * 60 * 1000);
+
+        // Servers skipped by the last update cycle because the rate limit ran low
+        this.deferredGuilds = [];
+
+        // Last update error per server: guildId -> { message, timestamp }
+        this.guildErrors = new Map();
+
+        // Recent unfurls for the per-channel rate limit: channelId -> [timestamps]
+        this.unfurlHistory = new Map();
+
+        // Running /issue search result sets: searchId -> { query, total, expiresAt }
+        this.issueSearches = new Map();
+
+        // Last refresh command per member, for the cooldown: "guildId:userId" -> timestamp
+        this.commandCooldowns = new Map();
+
+        // Who ran which command: guildId -> [{ timestamp, userId, userTag, command, outcome }]
+        this.auditLog = new JsonStore(path.join(dataDir, 'audit.json'));
+
+        // Forum posts mirroring issues: guildId -> {
+        //     channelId,
+        //     posts: { "owner/repo#123": { threadId, signature, comments, lastCommentId, archived, closed } }
+        // }
+        this.forumPosts = new JsonStore(path.join(dataDir, 'forum.json'));
+
+        // Scheduled digests: guildId -> {
+        //     lastSlot, // Local date of the last scheduled digest (YYYY-MM-DD)
+        //     since, // When the current digest period started
+        //     opened, closed, pendingRelease: [{ repository, number, title, url, stateReason }]
+        // }
+        this.digests = new JsonStore(path.join(dataDir, 'digests.json'));
+        this.digestTimer = null;
+    }
+
+    createOctokit() {
+        // Create Octokit instance (with or without auth)
+        const oktokitConfig = {};
+        if (config.GITHUB_TOKEN) {
+            oktokitConfig.auth = config.GITHUB_TOKEN;
+            console.log('🔑 Using GitHub token (5000 requests/hour)');
+        } else {
+            console.log('⚠️  No GitHub token - using anonymous access (60 requests/hour)');
+        }
+
+        // A different API URL points the bot at GitHub Enterprise or a local mock server
+        if (config.GITHUB_API_URL) {
+            oktokitConfig.baseUrl = config.GITHUB_API_URL;
+        }
+        return new Octokit(oktokitConfig);
+    }
+
+    async start() {
+        await this.guildConfigs.load();
+        await this.messageRegistry.load();
+        await this.issueSnapshots.load();
+        await this.subscriptions.load();
+        await this.auditLog.load();
+        await this.forumPosts.load();
+        await this.digests.load();
+
+        this.client.once('ready', async () => {
+            console.log(`✅ Bot logged in as ${this.client.user.tag}`);
+            console.log(`🌐 Connected to ${this.client.guilds.cache.size} server(s)`);
+            await this.registerCommands();
+            this.initializeAllServers();
+        });
+
+        // Handle joining new servers
+        this.client.on('guildCreate', (guild) => {
+            console.log(`➕ Joined new server: ${guild.name} (${guild.id})`);
+            this.initializeServer(guild);
+        });
+
+        // Handle leaving servers
+        this.client.on('guildDelete', (guild) => {
+            console.log(`➖ Left server: ${guild.name} (${guild.id})`);
+            this.servers.delete(guild.id);
+        });
+
+        // Handle commands
+        this.client.on('messageCreate', async (message) => {
+            if (message.author.bot) return;
+            if (!message.guild) return; // Ignore DMs
+
+            const serverData = this.servers.get(message.guild.id);
+            if (!serverData?.issuesChannel) return;
+
+            // Replies in the issue posts of a forum board go to GitHub, alias commands are handled below
+            const inForumPost = this.isForumBoard(serverData) && message.channel.parentId === serverData.issuesChannel.id;
+            if (inForumPost && !BOT_COMMANDS[message.content.slice(1)]) {
+                try {
+                    await this.handleForumReply(message, serverData);
+                } catch (error) {
+                    console.error(`❌ Error handling forum reply in ${message.guild.name}:`, error);
+                    this.metrics.inc('bot_errors_total', { where: 'forum' });
+                }
+                return;
+            }
+
+            // Issue references are unfurled in every allowed channel
+            if (!message.content.startsWith('!')) {
+                try {
+                    await this.unfurlIssueReferences(message, serverData);
+                } catch (error) {
+                    console.error(`❌ Error unfurling issue references in ${message.guild.name}:`, error);
+                }
+                return;
+            }
+
+            // Only respond to commands in the issues channel (forum channels have no messages, only their posts)
+            if (message.channel.id !== serverData.issuesChannel.id && !inForumPost) return;
+
+            // Aliases of the /board commands
+            const command = message.content.slice(1);
+            if (!BOT_COMMANDS[command]) return;
+
+            const denied = this.checkCommandAccess(message.member, command);
+            await this.recordAudit(message.guild, message.author, message.content, denied || 'ok');
+
+            try {
+                if (denied) {
+                    await message.react(denied === 'cooldown' ? '⏳' : '⛔');
+                    return;
+                }
+
+                if (command === 'refresh-issues') {
+                    await this.refreshIssues(message.guild.id);
+                    await message.react('✅');
+                }
+
+                if (command === 'refresh-labels') {
+                    await this.refreshLabels(message.guild.id);
+                    await message.react('🏷️');
+                }
+
+                if (command === 'rebuild') {
+                    await this.rebuildBoard(message.guild.id);
+                    await message.react('🧱');
+                }
+
+                if (command === 'status') {
+                    await message.reply({ embeds: [this.buildStatusEmbed(message.guild.id)] });
+                }
+            } catch (error) {
+                console.error(`❌ Error handling command in ${message.guild.name}:`, error);
+                this.metrics.inc('bot_errors_total', { where: 'command' });
+                // The reaction can fail too (message deleted, no Add Reactions permission)
+                await message.react('❌').catch(() => {});
+            }
+        });
+
+        // Handle slash commands, context menus and their modals/components
+        this.client.on('interactionCreate', async (interaction) => {
+            if (!interaction.guild) return;
+
+            try {
+                if (interaction.isChatInputCommand()) {
+                    if (interaction.commandName === 'tracker' && interaction.options.getSubcommandGroup() === 'config') {
+                        await this.handleConfigCommand(interaction);
+                    } else if (interaction.commandName === 'tracker' && interaction.options.getSubcommandGroup() === 'groups') {
+                        await this.handleGroupsCommand(interaction);
+                    } else if (interaction.commandName === 'tracker' && interaction.options.getSubcommandGroup() === 'permissions') {
+                        await this.handlePermissionsCommand(interaction);
+                    }
+                    if (interaction.commandName === 'board') {
+                        await this.handleBoardCommand(interaction);
+                    }
+                    if (interaction.commandName === 'issue' && interaction.options.getSubcommand() === 'create') {
+                        await this.startIssueDraft(interaction, '', '');
+                    }
+                    if (interaction.commandName === 'issue' && interaction.options.getSubcommand() === 'view') {
+                        await this.handleIssueViewCommand(interaction);
+                    }
+                    if (interaction.commandName === 'issue' && interaction.options.getSubcommand() === 'search') {
+                        await this.handleIssueSearchCommand(interaction);
+                    }
+                    if (interaction.commandName === 'subscribe') {
+                        await this.handleSubscribeCommand(interaction);
+                    }
+                    if (interaction.commandName === 'subscriptions') {
+                        await this.handleSubscriptionsCommand(interaction);
+                    }
+                    if (interaction.commandName === 'audit') {
+                        await this.handleAuditCommand(interaction);
+                    }
+                } else if (interaction.isAutocomplete()) {
+                    await this.handleAutocomplete(interaction);
+                } else if (interaction.isMessageContextMenuCommand()) {
+                    if (interaction.commandName === 'Report as GitHub issue') {
+                        await this.handleReportMessage(interaction);
+                    }
+                } else if (interaction.isModalSubmit()) {
+                    if (interaction.customId.startsWith('issue-draft:')) {
+                        await this.handleIssueDraftModal(interaction);
+                    }
+                } else if (interaction.isStringSelectMenu() || interaction.isButton()) {
+                    if (interaction.customId.startsWith('issue-')) {
+                        await this.handleIssueDraftComponent(interaction);
+                    }
+                    if (interaction.customId.startsWith('board-page:')) {
+                        await this.handleBoardPageButton(interaction);
+                    }
+                    if (interaction.customId.startsWith('subscribe:')) {
+                        await this.handleSubscribeButton(interaction);
+                    }
+                    if (interaction.customId === 'subscriptions-remove') {
+                        await this.handleRemoveSubscriptions(interaction);
+                    }
+                    if (interaction.customId.startsWith('search-page:')) {
+                        await this.handleSearchPageButton(interaction);
+                    }
+                }
+            } catch (error) {
+                console.error(`❌ Error handling interaction '${interaction.commandName || interaction.customId}' in ${interaction.guild.name}:`, error);
+                this.metrics.inc('bot_errors_total', { where: 'interaction' });
+                if (!interaction.isRepliable()) return;
+
+                const reply = { content: '❌ Something went wrong while running this command.', flags: MessageFlags.Ephemeral };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.editReply(reply).catch(() => {});
+                } else {
+                    await interaction.reply(reply).catch(() => {});
+                }
+            }
+        });
+
+        await this.client.login(config.DISCORD_TOKEN);
+    }
+
+    async registerCommands() {
+        try {
+            await this.client.application.commands.set(commands.map(command => command.toJSON()));
+            console.log(`⌨️ Registered ${commands.length} slash command(s)`);
+        } catch (error) {
+            console.error('❌ Error registering slash commands:', error);
+        }
+    }
+
+    getGuildConfig(guildId) {
+        // Merge the stored overrides for this server with the global defaults
+        const stored = this.guildConfigs.get(guildId) || {};
+        return {
+            repositories: stored.repositories ?? (stored.repository ? [stored.repository] : [`${config.REPO_OWNER}/${config.REPO_NAME}`]),
+            repoLayout: stored.repoLayout ?? 'separate',
+            channelId: stored.channelId ?? null,
+            groups: stored.groups ?? this.getLegacyGroups(stored),
+            multiGroup: stored.multiGroup ?? false,
+            maxIssuesPerLabel: stored.maxIssuesPerLabel ?? config.MAX_ISSUES_PER_LABEL,
+            lineTemplate: stored.lineTemplate ?? config.ISSUE_LINE_TEMPLATE,
+            sortOrder: stored.sortOrder ?? config.ISSUE_SORT_ORDER,
+            overflowMode: stored.overflowMode ?? 'paginate',
+            activityLog: stored.activityLog ?? 'off',
+            activityChannelId: stored.activityChannelId ?? null,
+            issueCreatorRoleId: stored.issueCreatorRoleId ?? null,
+            trackPullRequests: stored.trackPullRequests ?? false,
+            trackMilestones: stored.trackMilestones ?? false,
+            releaseAnnouncements: stored.releaseAnnouncements ?? false,
+            releaseChannelId: stored.releaseChannelId ?? null,
+            pendingReleaseLabel: stored.pendingReleaseLabel ?? 'pending release',
+            unfurl: stored.unfurl ?? false,
+            unfurlChannelIds: stored.unfurlChannelIds ?? [],
+            commandPermissions: stored.commandPermissions ?? {},
+            refreshCooldown: stored.refreshCooldown ?? config.REFRESH_COOLDOWN,
+            auditChannelId: stored.auditChannelId ?? null,
+            forumReplyRoleId: stored.forumReplyRoleId ?? null,
+            digestSchedule: stored.digestSchedule ?? 'off',
+            digestTime: stored.digestTime ?? config.DIGEST_TIME,
+            digestDay: stored.digestDay ?? 'monday',
+            digestTimezone: stored.digestTimezone ?? config.DIGEST_TIMEZONE,
+            digestChannelId: stored.digestChannelId ?? null,
+            staleDays: stored.staleDays ?? config.STALE_DAYS
+        };
+    }
+
+    getLegacyGroups(stored) {
+        // Servers configured before group rules had included labels, excluded labels and unlabeled tracking
+        if (!['includedLabels', 'excludedLabels', 'trackUnlabeled'].some(key => key in stored)) {
+            return config.ISSUE_GROUPS;
+        }
+
+        const quote = label => `"${label}"`;
+        const includedLabels = stored.includedLabels ??
+            config.ISSUE_GROUPS.map(group => new GroupRule(group.rule).getLabel()).filter(Boolean);
+        const excludedLabels = stored.excludedLabels ?? [];
+
+        // No included labels meant every label except the excluded ones
+        const groups = includedLabels.length > 0
+            ? includedLabels.map(label => ({ name: label, rule: `label:${quote(label)}` }))
+            : [{ name: '*', rule: excludedLabels.length > 0 ? `NOT (${excludedLabels.map(quote).join(' OR ')})` : 'label:any' }];
+
+        if (stored.trackUnlabeled ?? true) {
+            groups.push({ name: 'unlabeled', rule: 'label:none', color: 0x666666 });
+        }
+        return groups;
+    }
+
+    async handleConfigCommand(interaction) {
+        const guild = interaction.guild;
+        const subcommand = interaction.options.getSubcommand();
+        const stored = { ...this.guildConfigs.get(guild.id) };
+
+        if (subcommand === 'show') {
+            const settings = this.getGuildConfig(guild.id);
+            const embed = new EmbedBuilder()
+                .setTitle('⚙️ Tracker Configuration')
+                .setColor(0x7289da)
+                .addFields(
+                    { name: 'Repositories', value: settings.repositories.join('\n'), inline: true },
+                    { name: 'Layout', value: settings.repoLayout, inline: true },
+                    { name: 'Channel', value: settings.channelId ? `<#${settings.channelId}>` : `#${config.ISSUES_CHANNEL} (by name)`, inline: true },
+                    { name: 'Max Issues Per Label', value: settings.maxIssuesPerLabel.toString(), inline: true },
+                    { name: 'Sort Order', value: settings.sortOrder, inline: true },
+                    { name: 'Long Embeds', value: settings.overflowMode === 'split' ? 'Split into messages' : 'Pages with buttons', inline: true },
+                    { name: 'Line Template', value: `\`${settings.lineTemplate}\``, inline: false },
+                    { name: 'Groups', value: `${settings.groups.map(group => group.name).join(', ').substring(0, 900) || 'None'}\n(see \`/tracker groups list\`${settings.multiGroup ? ', issues can be in several groups' : ''})`, inline: false },
+                    { name: 'Pull Request Board', value: settings.trackPullRequests ? 'Yes' : 'No', inline: true },
+                    { name: 'Milestone Board', value: settings.trackMilestones ? 'Yes' : 'No', inline: true },
+                    { name: 'Release Announcements', value: settings.releaseAnnouncements ? `${settings.releaseChannelId ? `<#${settings.releaseChannelId}>` : 'Issues channel'} ('${settings.pendingReleaseLabel}')` : 'Off', inline: true },
+                    { name: 'Activity Log', value: settings.activityLog === 'channel' ? `<#${settings.activityChannelId}>` : settings.activityLog, inline: true },
+                    { name: 'Issue Creators', value: settings.issueCreatorRoleId ? `<@&${settings.issueCreatorRoleId}>` : 'Admins only', inline: true },
+                    { name: 'Unfurl References', value: settings.unfurl ? (settings.unfurlChannelIds.map(id => `<#${id}>`).join(', ') || 'All channels') : 'Off', inline: true },
+                    { name: 'Refresh Cooldown', value: `${settings.refreshCooldown}s`, inline: true },
+                    { name: 'Audit Log Mirror', value: settings.auditChannelId ? `<#${settings.auditChannelId}>` : 'Off', inline: true },
+                    { name: 'Forum Replies', value: settings.forumReplyRoleId ? `<@&${settings.forumReplyRoleId}>` : 'Off', inline: true },
+                    { name: 'Digest', value: this.describeDigestSchedule(settings), inline: true }
+                );
+
+            await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        switch (subcommand) {
+            case 'repositories': {
+                const repositories = [];
+
+                for (const repository of interaction.options.getString('repositories').split(',').map(name => name.trim()).filter(Boolean)) {
+                    const [owner, repo, ...rest] = repository.split('/');
+                    if (!owner || !repo || rest.length > 0) {
+                        await interaction.editReply(`❌ Repository \`${repository}\` must be in \`owner/name\` format.`);
+                        return;
+                    }
+
+                    try {
+                        // Use GitHub's canonical owner/name casing
+                        const data = await this.github.getRepository(`${owner}/${repo}`);
+                        if (!repositories.includes(data.full_name)) repositories.push(data.full_name);
+                    } catch (error) {
+                        await interaction.editReply(`❌ Could not access repository \`${repository}\` on GitHub.`);
+                        return;
+                    }
+                }
+
+                if (repositories.length === 0) {
+                    await interaction.editReply('❌ Please provide at least one repository.');
+                    return;
+                }
+
+                stored.repositories = repositories;
+                break;
+            }
+
+            case 'layout':
+                stored.repoLayout = interaction.options.getString('layout');
+                break;
+
+            case 'channel':
+                stored.channelId = interaction.options.getChannel('channel').id;
+                break;
+
+            case 'line-template': {
+                // Allow "\n" for multi-line entries
+                const template = interaction.options.getString('template')?.replace(/\\n/g, '\n');
+                const unknown = (template?.match(/\{(\w+)\}/g) || [])
+                    .map(placeholder => placeholder.slice(1, -1))
+                    .filter(name => !ISSUE_LINE_PLACEHOLDERS.includes(name));
+
+                if (unknown.length > 0) {
+                    await interaction.editReply(`❌ Unknown placeholder(s): ${unknown.map(name => `\`{${name}}\``).join(', ')}\nAvailable: ${ISSUE_LINE_PLACEHOLDERS.map(name => `\`{${name}}\``).join(', ')}`);
+                    return;
+                }
+
+                if (template) {
+                    stored.lineTemplate = template;
+                } else {
+                    delete stored.lineTemplate;
+                }
+                break;
+            }
+
+            case 'sort':
+                stored.sortOrder = interaction.options.getString('order');
+                break;
+
+            case 'overflow':
+                stored.overflowMode = interaction.options.getString('mode');
+                break;
+
+            case 'pull-requests':
+                if (interaction.options.getBoolean('enabled') && !config.GITHUB_TOKEN) {
+                    await interaction.editReply('❌ The pull request board requires a GitHub token.');
+                    return;
+                }
+                stored.trackPullRequests = interaction.options.getBoolean('enabled');
+                break;
+
+            case 'max-issues':
+                stored.maxIssuesPerLabel = interaction.options.getInteger('count');
+                break;
+
+            case 'milestones':
+                stored.trackMilestones = interaction.options.getBoolean('enabled');
+                break;
+
+            case 'releases':
+                stored.releaseAnnouncements = interaction.options.getBoolean('enabled');
+                stored.releaseChannelId = interaction.options.getChannel('channel')?.id ?? null;
+                if (interaction.options.getString('pending-label')) {
+                    stored.pendingReleaseLabel = interaction.options.getString('pending-label').trim();
+                }
+                break;
+
+            case 'activity-log': {
+                const mode = interaction.options.getString('mode');
+                const channel = interaction.options.getChannel('channel');
+                if (mode === 'channel' && !channel) {
+                    await interaction.editReply('❌ Please pick a log channel.');
+                    return;
+                }
+
+                stored.activityLog = mode;
+                stored.activityChannelId = mode === 'channel' ? channel.id : null;
+                break;
+            }
+
+            case 'issue-role':
+                stored.issueCreatorRoleId = interaction.options.getRole('role')?.id ?? null;
+                break;
+
+            case 'cooldown':
+                stored.refreshCooldown = interaction.options.getInteger('seconds');
+                break;
+
+            case 'audit-log':
+                stored.auditChannelId = interaction.options.getChannel('channel')?.id ?? null;
+                break;
+
+            case 'forum':
+                stored.forumReplyRoleId = interaction.options.getRole('reply-role')?.id ?? null;
+                break;
+
+            case 'digest': {
+                const time = interaction.options.getString('time')?.trim();
+                if (time && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+                    await interaction.editReply('❌ The time must be in 24-hour format, e.g. `09:00` or `17:30`.');
+                    return;
+                }
+
+                const timezone = interaction.options.getString('timezone')?.trim();
+                if (timezone && !this.isValidTimezone(timezone)) {
+                    await interaction.editReply(`❌ Unknown time zone \`${timezone}\` - use an IANA name like \`Europe/Berlin\` or \`UTC\`.`);
+                    return;
+                }
+
+                stored.digestSchedule = interaction.options.getString('schedule');
+                stored.digestChannelId = interaction.options.getChannel('channel')?.id ?? null;
+                if (time) stored.digestTime = time.padStart(5, '0');
+                if (timezone) stored.digestTimezone = timezone;
+                if (interaction.options.getString('day')) stored.digestDay = interaction.options.getString('day');
+                if (interaction.options.getInteger('stale-days')) stored.staleDays = interaction.options.getInteger('stale-days');
+
+                // The first digest covers the time from now until the next scheduled one
+                const digest = this.digests.get(guild.id);
+                await this.digests.set(guild.id, {
+                    ...this.createDigestPeriod(),
+                    ...digest,
+                    lastSlot: this.getDigestSlot({ ...this.getGuildConfig(guild.id), ...stored })
+                });
+                break;
+            }
+
+            case 'unfurl': {
+                // Channel mentions like "#general #help" (or plain IDs), empty = every channel
+                const channels = interaction.options.getString('channels') || '';
+                const channelIds = [...channels.matchAll(/(?:<#)?(\d{17,20})>?/g)].map(match => match[1]);
+                const unknown = channelIds.filter(id => !guild.channels.cache.has(id));
+                if (unknown.length > 0) {
+                    await interaction.editReply(`❌ Unknown channel(s): ${unknown.join(', ')}`);
+                    return;
+                }
+
+                stored.unfurl = interaction.options.getBoolean('enabled');
+                stored.unfurlChannelIds = [...new Set(channelIds)];
+                break;
+            }
+
+            case 'reset':
+                await this.guildConfigs.delete(guild.id);
+                break;
+        }
+
+        if (subcommand !== 'reset') {
+            await this.guildConfigs.set(guild.id, stored);
+        }
+
+        console.log(`⚙️ ${interaction.user.tag} changed '${subcommand}' config in ${guild.name}`);
+        await this.recordAudit(guild, interaction.user, interaction.toString(), 'ok');
+
+        // Rebuild the server with the new configuration
+        await this.initializeServer(guild);
+
+        const serverData = this.servers.get(guild.id);
+        await interaction.editReply(serverData
+            ? `✅ Configuration updated - tracking **${serverData.settings.repositories.join(', ')}** in ${serverData.issuesChannel}.`
+            : '✅ Configuration updated, but no issues channel was found. Use `/tracker config channel` to pick one.');
+    }
+
+    async handleGroupsCommand(interaction) {
+        const guild = interaction.guild;
+        const subcommand = interaction.options.getSubcommand();
+        const stored = { ...this.guildConfigs.get(guild.id) };
+        const settings = this.getGuildConfig(guild.id);
+        const groups = [...settings.groups];
+
+        if (subcommand === 'list') {
+            const lines = groups.map((group, index) => {
+                const extras = [
+                    group.title && `title "${group.title}"`,
+                    group.emoji && `emoji ${group.emoji}`,
+                    group.color !== undefined && `color #${group.color.toString(16).padStart(6, '0')}`
+                ].filter(Boolean);
+                return `**${index + 1}. ${group.name}** - \`${group.rule}\`${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`;
+            });
+
+            await interaction.reply({
+                content: `🏷️ **Groups** (${settings.multiGroup ? 'issues are shown in every group they match' : 'issues are shown in the first group they match'})\n${lines.join('\n') || 'None'}`.substring(0, 2000),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const name = interaction.options.getString('name')?.trim();
+        const index = name ? groups.findIndex(group => group.name.toLowerCase() === name.toLowerCase()) : -1;
+
+        switch (subcommand) {
+            case 'add': {
+                const rule = interaction.options.getString('rule');
+                try {
+                    new GroupRule(rule);
+                } catch (error) {
+                    await interaction.reply({ content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const color = interaction.options.getString('color');
+                if (color && !/^#?[0-9a-f]{6}$/i.test(color)) {
+                    await interaction.reply({ content: '❌ Colors must be 6-digit hex values like `#d73a4a`.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const group = { name, rule: rule.trim() };
+                if (interaction.options.getString('title')) group.title = interaction.options.getString('title');
+                if (interaction.options.getString('emoji')) group.emoji = interaction.options.getString('emoji');
+                if (color) group.color = parseInt(color.replace('#', ''), 16);
+
+                // Changed groups keep their position unless a new one is given
+                const position = interaction.options.getInteger('position');
+                if (index !== -1) groups.splice(index, 1);
+                const target = position ? position - 1 : index !== -1 ? index : groups.length;
+                groups.splice(Math.min(target, groups.length), 0, group);
+                break;
+            }
+
+            case 'remove':
+                if (index === -1) {
+                    await interaction.reply({ content: `❌ There is no group named **${name}**.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                groups.splice(index, 1);
+                break;
+
+            case 'multi':
+                stored.multiGroup = interaction.options.getBoolean('enabled');
+                break;
+        }
+
+        // Groups are stored in full, which also migrates servers that still have included/excluded labels
+        delete stored.includedLabels;
+        delete stored.excludedLabels;
+        delete stored.trackUnlabeled;
+        if (subcommand === 'reset') {
+            delete stored.groups;
+        } else {
+            stored.groups = groups;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        await this.guildConfigs.set(guild.id, stored);
+
+        console.log(`🏷️ ${interaction.user.tag} changed '${subcommand}' groups in ${guild.name}`);
+        await this.recordAudit(guild, interaction.user, interaction.toString(), 'ok');
+
+        // Rebuild the board with the new groups
+        await this.initializeServer(guild);
+        await interaction.editReply(`✅ Groups updated${this.servers.has(guild.id) ? '' : ', but no issues channel was found. Use `/tracker config channel` to pick one'}.`);
+    }
+
+    async handleBoardCommand(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.reply({ content: '❌ The issue tracker is not set up in this server.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const command = subcommand === 'refresh' ? `refresh-${interaction.options.getString('what') || 'issues'}` : subcommand;
+
+        const denied = this.checkCommandAccess(interaction.member, command);
+        await this.recordAudit(interaction.guild, interaction.user, interaction.toString(), denied || 'ok');
+        if (denied) {
+            const cooldown = this.servers.get(interaction.guild.id).settings.refreshCooldown;
+            await interaction.reply({
+                content: denied === 'cooldown'
+                    ? `⏳ Please wait - refresh commands can be used once every ${cooldown} seconds.`
+                    : '❌ You are not allowed to run this command.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        switch (subcommand) {
+            case 'refresh':
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+                if (interaction.options.getString('what') === 'labels') {
+                    await this.refreshLabels(interaction.guild.id);
+                    await interaction.editReply('🏷️ Labels and issues refreshed.');
+                } else {
+                    await this.refreshIssues(interaction.guild.id);
+                    await interaction.editReply('✅ Issues refreshed.');
+                }
+                break;
+
+            case 'rebuild':
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+                await this.rebuildBoard(interaction.guild.id);
+                await interaction.editReply('🧱 Board rebuilt.');
+                break;
+
+            case 'status':
+                await interaction.reply({ embeds: [this.buildStatusEmbed(interaction.guild.id)], flags: MessageFlags.Ephemeral });
+                break;
+        }
+    }
+
+    checkCommandAccess(member, command) {
+        // Returns null when the member may run the command, 'denied' or 'cooldown' otherwise
+        const settings = this.servers.get(member.guild.id).settings;
+        const grant = settings.commandPermissions[command];
+        const isAdmin = member.permissions.has(PermissionFlagsBits.ManageGuild);
+
+        const allowed = isAdmin || (grant
+            ? grant.userIds.includes(member.id) || grant.roleIds.some(roleId => member.roles.cache.has(roleId))
+            : BOT_COMMANDS[command].everyone);
+        if (!allowed) return 'denied';
+
+        if (BOT_COMMANDS[command].cooldown) {
+            const key = `${member.guild.id}:${member.id}`;
+            const now = Date.now();
+            if (now - (this.commandCooldowns.get(key) ?? 0) < settings.refreshCooldown * 1000) return 'cooldown';
+            this.commandCooldowns.set(key, now);
+        }
+
+        return null;
+    }
+
+    async recordAudit(guild, user, command, outcome) {
+        const entry = { timestamp: new Date().toISOString(), userId: user.id, userTag: user.tag, command, outcome };
+        const entries = [...(this.auditLog.get(guild.id) || []), entry].slice(-config.AUDIT_LOG_LIMIT);
+        await this.auditLog.set(guild.id, entries);
+
+        // Mirror to the mod-log channel
+        const channelId = this.servers.get(guild.id)?.settings.auditChannelId;
+        if (!channelId) return;
+
+        try {
+            const channel = guild.channels.cache.get(channelId);
+            await channel?.send({ content: this.formatAuditEntry(entry), allowedMentions: { parse: [] } });
+        } catch (error) {
+            console.error(`❌ Error mirroring audit entry in ${guild.name}:`, error.message);
+        }
+    }
+
+    formatAuditEntry(entry) {
+        const outcomes = { ok: '✅', denied: '⛔ denied', cooldown: '⏳ cooldown' };
+        const timestamp = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+        return `<t:${timestamp}:f> <@${entry.userId}> \`${entry.command.substring(0, 200)}\` ${outcomes[entry.outcome] ?? entry.outcome}`;
+    }
+
+    async handleAuditCommand(interaction) {
+        const user = interaction.options.getUser('user');
+        const entries = (this.auditLog.get(interaction.guild.id) || [])
+            .filter(entry => !user || entry.userId === user.id)
+            .slice(-20)
+            .reverse();
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📋 Audit Log${user ? ` · ${user.tag}` : ''}`)
+            .setColor(0x7289da)
+            .setDescription((entries.map(entry => this.formatAuditEntry(entry)).join('\n') || '*No commands recorded yet*').substring(0, 4096))
+            .setFooter({ text: 'Most recent first, up to 20 entries' });
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    async handlePermissionsCommand(interaction) {
+        const guild = interaction.guild;
+        const subcommand = interaction.options.getSubcommand();
+        const stored = { ...this.guildConfigs.get(guild.id) };
+        const permissions = { ...stored.commandPermissions };
+
+        if (subcommand === 'show') {
+            const lines = Object.entries(BOT_COMMANDS).map(([command, { everyone, cooldown }]) => {
+                const grant = permissions[command];
+                const allowed = grant
+                    ? [...grant.roleIds.map(id => `<@&${id}>`), ...grant.userIds.map(id => `<@${id}>`)].join(', ') || 'Admins only'
+                    : everyone ? 'Everyone' : 'Admins only';
+                return `**${command}** - ${allowed}${cooldown ? ' ⏳' : ''}`;
+            });
+
+            await interaction.reply({
+                content: `🔐 **Command permissions** (⏳ = ${this.getGuildConfig(guild.id).refreshCooldown}s cooldown, admins can always run everything)\n${lines.join('\n')}`,
+                flags: MessageFlags.Ephemeral,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+
+        const command = interaction.options.getString('command');
+        const role = interaction.options.getRole('role');
+        const user = interaction.options.getUser('user');
+
+        if (subcommand === 'reset') {
+            delete permissions[command];
+        } else {
+            if (!role && !user) {
+                await interaction.reply({ content: '❌ Please pick a role or a user.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const grant = permissions[command] || { roleIds: [], userIds: [] };
+            const update = (ids, id) => subcommand === 'allow'
+                ? [...new Set([...ids, id])]
+                : ids.filter(existing => existing !== id);
+
+            permissions[command] = {
+                roleIds: role ? update(grant.roleIds, role.id) : grant.roleIds,
+                userIds: user ? update(grant.userIds, user.id) : grant.userIds
+            };
+        }
+
+        stored.commandPermissions = permissions;
+        await this.guildConfigs.set(guild.id, stored);
+
+        // Permissions don't change the board, no need to initialize the server again
+        const serverData = this.servers.get(guild.id);
+        if (serverData) serverData.settings = this.getGuildConfig(guild.id);
+
+        console.log(`🔐 ${interaction.user.tag} changed '${command}' permissions in ${guild.name}`);
+        await this.recordAudit(guild, interaction.user, interaction.toString(), 'ok');
+        await interaction.reply({ content: `✅ Permissions for **${command}** updated.`, flags: MessageFlags.Ephemeral });
+    }
+
+    async refreshIssues(guildId) {
+        const serverData = this.servers.get(guildId);
+        serverData.settings.repositories.forEach(repository => this.github.invalidate(repository));
+        await this.updateIssuesForServer(guildId);
+    }
+
+    async refreshLabels(guildId) {
+        const serverData = this.servers.get(guildId);
+        serverData.settings.repositories.forEach(repository => this.github.invalidate(repository));
+        await this.fetchLabelsForServer(guildId);
+        await this.cleanupBoardMessages(guildId);
+        await this.updateIssuesForServer(guildId);
+    }
+
+    buildStatusEmbed(guildId) {
+        const serverData = this.servers.get(guildId);
+        const toTimestamp = date => `<t:${Math.floor(date.getTime() / 1000)}:R>`;
+
+        const rateLimit = this.github.getRateLimit('core');
+        const quota = this.github.blockedUntil > new Date()
+            ? `🛑 Paused until ${toTimestamp(this.github.blockedUntil)}`
+            : rateLimit ? `${rateLimit.remaining}/${rateLimit.limit}, resets ${toTimestamp(rateLimit.reset)}` : 'Unknown';
+
+        const nextRun = this.scheduler.running ? 'Running now' : this.scheduler.nextRun ? toTimestamp(this.scheduler.nextRun) : 'Not scheduled';
+        const lastError = this.guildErrors.get(guildId);
+
+        return new EmbedBuilder()
+            .setTitle('📊 Bot Status')
+            .setColor(lastError ? 0xff9900 : 0x00ff00)
+            .addFields(
+                { name: 'Repositories', value: serverData.settings.repositories.map(repository => `${repository} (${serverData.repositories.get(repository)?.openIssues ?? 0} open)`).join('\n'), inline: true },
+                { name: 'Labels Tracked', value: serverData.availableLabels.size.toString(), inline: true },
+                { name: 'Last Update', value: this.lastUpdate.toLocaleString(), inline: true },
+                { name: 'GitHub Quota', value: quota, inline: true },
+                { name: 'Next Update', value: `${nextRun}${this.deferredGuilds.includes(guildId) ? ' (deferred)' : ''}`, inline: true },
+                { name: 'Last Error', value: lastError ? `${toTimestamp(lastError.timestamp)}: ${lastError.message}`.substring(0, 1024) : 'None', inline: false }
+            )
+            .setTimestamp();
+    }
+
+    async handleAutocomplete(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.respond([]);
+            return;
+        }
+
+        // Suggestions come from the cached board data, autocomplete never calls GitHub
+        const focused = interaction.options.getFocused(true);
+        const typed = String(focused.value).trim().toLowerCase();
+        let choices = [];
+
+        if (focused.name === 'label') {
+            choices = Array.from(serverData.availableLabels)
+                .filter(label => label.toLowerCase().includes(typed))
+                .map(label => ({ name: label, value: label }));
+        }
+
+        if (focused.name === 'repository') {
+            choices = serverData.settings.repositories
+                .filter(repository => repository.toLowerCase().includes(typed))
+                .map(repository => ({ name: repository, value: repository }));
+        }
+
+        if (focused.name === 'number') {
+            // Open issues of the last update, matched by number or title
+            const repository = interaction.options.getString('repository');
+            const snapshot = this.issueSnapshots.get(interaction.guild.id);
+
+            for (const [snapshotRepository, { issues }] of Object.entries(snapshot?.repositories || {})) {
+                if (!serverData.settings.repositories.includes(snapshotRepository)) continue;
+                if (repository && snapshotRepository.toLowerCase() !== repository.toLowerCase()) continue;
+
+                for (const [number, issue] of Object.entries(issues)) {
+                    if (!number.startsWith(typed) && !issue.title.toLowerCase().includes(typed)) continue;
+
+                    const prefix = serverData.settings.repositories.length > 1 ? `${snapshotRepository}#` : '#';
+                    const name = `${prefix}${number} ${issue.title}`;
+                    choices.push({ name: name.length > 100 ? `${name.substring(0, 97)}...` : name, value: Number(number) });
+                }
+            }
+        }
+
+        await interaction.respond(choices.slice(0, 25));
+    }
+
+    resolveRepositoryOption(interaction, serverData) {
+        // Tracked repository from an optional "repository" option, default: the first tracked repository
+        const option = interaction.options.getString('repository');
+        return option
+            ? serverData.settings.repositories.find(repository => repository.toLowerCase() === option.toLowerCase())
+            : serverData.settings.repositories[0];
+    }
+
+    async handleIssueViewCommand(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.reply({ content: '❌ The issue tracker is not set up in this server.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const repository = this.resolveRepositoryOption(interaction, serverData);
+        if (!repository) {
+            await interaction.reply({ content: `❌ \`${interaction.options.getString('repository')}\` is not tracked in this server.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const number = interaction.options.getInteger('number');
+        await interaction.deferReply();
+
+        // Fetched fresh, the update cycle's copy can be older than a change someone is asking about
+        let issue;
+        try {
+            issue = await this.github.getCurrentIssue(repository, number);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            await interaction.editReply(`❌ ${repository}#${number} does not exist.`);
+            return;
+        }
+
+        const linkedPullRequests = issue.pull_request ? [] : await this.github.getLinkedPullRequests(repository, number);
+
+        const embed = this.buildIssueSummaryEmbed(repository, issue, serverData.labelPriority);
+        const body = (issue.body || '').replace(/<!--[\s\S]*?-->/g, '').trim();
+        if (body) {
+            embed.setDescription(body.length > 1000 ? `${body.substring(0, 997)}...` : body);
+        }
+
+        embed.addFields(
+            { name: 'Comments', value: issue.comments.toString(), inline: true },
+            { name: '👍', value: (issue.reactions?.['+1'] ?? 0).toString(), inline: true },
+            { name: 'Updated', value: this.getTimeAgo(new Date(issue.updated_at)), inline: true }
+        );
+
+        if (linkedPullRequests.length > 0) {
+            const lines = linkedPullRequests.map(pullRequest =>
+                `${this.getIssueState(pullRequest)} **[${pullRequest.repository}#${pullRequest.number}](${pullRequest.html_url})** ${pullRequest.title}`);
+            embed.addFields({ name: 'Linked Pull Requests', value: lines.join('\n').substring(0, 1024), inline: false });
+        }
+
+        await interaction.editReply({
+            embeds: [embed],
+            components: issue.state === 'open' && !issue.pull_request ? this.buildSubscribeComponents(repository, number) : []
+        });
+    }
+
+    async handleIssueSearchCommand(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.reply({ content: '❌ The issue tracker is not set up in this server.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        // GitHub search syntax, limited to the tracked repositories
+        const label = interaction.options.getString('label');
+        const state = interaction.options.getString('state') || 'open';
+        const query = [
+            interaction.options.getString('query'),
+            ...serverData.settings.repositories.map(repository => `repo:${repository}`),
+            'is:issue',
+            label && `label:"${label.replace(/"/g, '')}"`,
+            state !== 'all' && `state:${state}`
+        ].filter(Boolean).join(' ');
+
+        // Forget searches whose buttons expired
+        const now = Date.now();
+        for (const [searchId, search] of this.issueSearches) {
+            if (search.expiresAt < now) this.issueSearches.delete(searchId);
+        }
+
+        const searchId = interaction.id;
+        this.issueSearches.set(searchId, { query, total: 0, expiresAt: now + config.ISSUE_SEARCH_TIMEOUT * 60 * 1000 });
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        await interaction.editReply(await this.renderSearchPage(searchId, 0));
+    }
+
+    async handleSearchPageButton(interaction) {
+        const [, searchId, page] = interaction.customId.split(':');
+        if (!this.issueSearches.has(searchId)) {
+            await interaction.update({ content: '⌛ These search results expired, please search again.', components: [] });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        await interaction.editReply(await this.renderSearchPage(searchId, Number(page)));
+    }
+
+    async renderSearchPage(searchId, page) {
+        const search = this.issueSearches.get(searchId);
+        const data = await this.github.searchIssues(search.query, page + 1, config.ISSUE_SEARCH_PAGE_SIZE);
+
+        // The search API returns at most 1000 results
+        search.total = Math.min(data.total_count, 1000);
+        const pageCount = Math.max(1, Math.ceil(search.total / config.ISSUE_SEARCH_PAGE_SIZE));
+
+        const lines = data.items.map(issue => {
+            const repository = this.getIssueRepository(issue);
+            const labels = issue.labels.map(label => `\`${label.name}\``).join(' ');
+            return `${issue.state === 'open' ? '🟢' : '🟣'} **[${repository}#${issue.number}](${issue.html_url})** ${issue.title}${labels ? ` ${labels}` : ''}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🔍 ${search.total} issue${search.total !== 1 ? 's' : ''} found`)
+            .setColor(0x7289da)
+            .setDescription((lines.join('\n') || '*No matching issues*').substring(0, 4096))
+            .setFooter({ text: `Page ${page + 1}/${pageCount} · ${search.query}`.substring(0, 2048) });
+
+        const components = pageCount > 1
+            ? [new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`search-page:${searchId}:${page - 1}`)
+                    .setLabel('◀️ Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page === 0),
+                new ButtonBuilder()
+                    .setCustomId(`search-page:${searchId}:${page + 1}`)
+                    .setLabel('Next ▶️')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page >= pageCount - 1)
+            )]
+            : [];
+
+        return { embeds: [embed], components };
+    }
+
+    canCreateIssues(member, settings) {
+        // Server admins always can, everyone else needs the configured role
+        return member.permissions.has(PermissionFlagsBits.ManageGuild) ||
+            (!!settings.issueCreatorRoleId && member.roles.cache.has(settings.issueCreatorRoleId));
+    }
+
+    async handleReportMessage(interaction) {
+        const message = interaction.targetMessage;
+
+        // Pre-fill the issue with the reported message, its author and a link back to Discord
+        const firstLine = message.content.split('\n')[0].trim();
+        const title = firstLine.length > 100 ? `${firstLine.substring(0, 97)}...` : firstLine;
+        const attachments = message.attachments.map(attachment => `- [${attachment.name}](${attachment.url})`).join('\n');
+        const details = [
+            attachments && `**Attachments**\n${attachments}`,
+            `---\nReported by **${message.author.tag}** on Discord: ${message.url}`
+        ].filter(Boolean).join('\n\n');
+
+        // Long messages are cut short instead of the attachments and the attribution (the form takes 4000 characters)
+        const available = 4000 - details.length - 2;
+        const content = message.content.length > available
+            ? `${message.content.substring(0, Math.max(0, available - 3))}...`
+            : message.content;
+        const body = [content, details].filter(Boolean).join('\n\n');
+
+        await this.startIssueDraft(interaction, title, body);
+    }
+
+    async startIssueDraft(interaction, title, body) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.reply({ content: '❌ The issue tracker is not set up in this server.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (!config.GITHUB_TOKEN) {
+            await interaction.reply({ content: '❌ Creating issues requires a GitHub token.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (!this.canCreateIssues(interaction.member, serverData.settings)) {
+            await interaction.reply({ content: '❌ You are not allowed to create GitHub issues.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        // Forget drafts that were never finished
+        const now = Date.now();
+        for (const [draftId, draft] of this.issueDrafts) {
+            if (draft.expiresAt < now) this.issueDrafts.delete(draftId);
+        }
+
+        const draftId = interaction.id;
+        this.issueDrafts.set(draftId, {
+            guildId: interaction.guild.id,
+            userId: interaction.user.id,
+            repository: serverData.settings.repositories[0],
+            title: '',
+            body: '',
+            labels: [],
+            expiresAt: now + config.ISSUE_DRAFT_TIMEOUT * 60 * 1000
+        });
+
+        const titleInput = new TextInputBuilder()
+            .setCustomId('title')
+            .setLabel('Title')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(256)
+            .setRequired(true);
+        const bodyInput = new TextInputBuilder()
+            .setCustomId('body')
+            .setLabel('Description')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(false);
+
+        // Modal text inputs are limited to 4000 characters
+        if (title) titleInput.setValue(title);
+        if (body) bodyInput.setValue(body.substring(0, 4000));
+
+        const modal = new ModalBuilder()
+            .setCustomId(`issue-draft:${draftId}`)
+            .setTitle('New GitHub issue')
+            .addComponents(
+                new ActionRowBuilder().addComponents(titleInput),
+                new ActionRowBuilder().addComponents(bodyInput)
+            );
+
+        await interaction.showModal(modal);
+    }
+
+    async handleIssueDraftModal(interaction) {
+        const draftId = interaction.customId.split(':')[1];
+        const draft = this.issueDrafts.get(draftId);
+        if (!draft) {
+            await interaction.reply({ content: '❌ This issue draft has expired, please start again.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        draft.title = interaction.fields.getTextInputValue('title').trim();
+        draft.body = interaction.fields.getTextInputValue('body').trim();
+
+        // Labels (and the repository) are picked in a follow-up message, modals only hold text inputs
+        await interaction.reply({ ...this.renderIssueDraft(draftId, draft), flags: MessageFlags.Ephemeral });
+    }
+
+    renderIssueDraft(draftId, draft) {
+        const serverData = this.servers.get(draft.guildId);
+        const components = [];
+
+        if (serverData.settings.repositories.length > 1) {
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`issue-repository:${draftId}`)
+                    .setPlaceholder('Repository')
+                    .addOptions(serverData.settings.repositories.slice(0, 25).map(repository => ({
+                        label: repository,
+                        value: repository,
+                        default: repository === draft.repository
+                    })))
+            ));
+        }
+
+        // Offer the repository's tracked labels (select menus hold at most 25 options)
+        const labels = Array.from(serverData.repositories.get(draft.repository)?.availableLabels || []).slice(0, 25);
+
+        if (labels.length > 0) {
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`issue-labels:${draftId}`)
+                    .setPlaceholder('Labels')
+                    .setMinValues(0)
+                    .setMaxValues(labels.length)
+                    .addOptions(labels.map(label => ({
+                        label: label,
+                        value: label,
+                        default: draft.labels.includes(label)
+                    })))
+            ));
+        }
+
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`issue-submit:${draftId}`)
+                .setLabel('Create issue')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`issue-cancel:${draftId}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        ));
+
+        const preview = draft.body.length > 300 ? `${draft.body.substring(0, 297)}...` : draft.body;
+        const embed = new EmbedBuilder()
+            .setTitle(draft.title)
+            .setDescription(preview || '*No description*')
+            .setColor(0x7289da)
+            .addFields(
+                { name: 'Repository', value: draft.repository, inline: true },
+                { name: 'Labels', value: draft.labels.join(', ') || 'None', inline: true }
+            );
+
+        return { content: 'Review your issue, pick labels and create it:', embeds: [embed], components };
+    }
+
+    async handleIssueDraftComponent(interaction) {
+        const [action, draftId] = interaction.customId.split(':');
+        const draft = this.issueDrafts.get(draftId);
+
+        if (!draft || draft.userId !== interaction.user.id) {
+            await interaction.update({ content: '❌ This issue draft has expired, please start again.', embeds: [], components: [] });
+            return;
+        }
+
+        switch (action) {
+            case 'issue-repository':
+                draft.repository = interaction.values[0];
+                draft.labels = [];
+                await interaction.update(this.renderIssueDraft(draftId, draft));
+                break;
+
+            case 'issue-labels':
+                draft.labels = interaction.values;
+                await interaction.update(this.renderIssueDraft(draftId, draft));
+                break;
+
+            case 'issue-cancel':
+                this.issueDrafts.delete(draftId);
+                await interaction.update({ content: '🗑️ Issue discarded.', embeds: [], components: [] });
+                break;
+
+            case 'issue-submit':
+                await this.submitIssueDraft(interaction, draftId, draft);
+                break;
+        }
+    }
+
+    async submitIssueDraft(interaction, draftId, draft) {
+        await interaction.deferUpdate();
+
+        const footer = `_Submitted from Discord by **${interaction.user.tag}**_`;
+
+        try {
+            const issue = await this.github.createIssue(draft.repository, {
+                title: draft.title,
+                body: `${draft.body}\n\n${footer}`.trim(),
+                labels: draft.labels
+            });
+
+            this.issueDrafts.delete(draftId);
+            console.log(`📝 ${interaction.user.tag} created ${draft.repository}#${issue.number} from ${interaction.guild.name}`);
+            await this.recordAudit(interaction.guild, interaction.user, `/issue create → ${draft.repository}#${issue.number}`, 'ok');
+
+            await interaction.editReply({
+                content: `✅ Created **[#${issue.number}](${issue.html_url})** in ${draft.repository}`,
+                embeds: [],
+                components: this.buildSubscribeComponents(draft.repository, issue.number)
+            });
+
+            // Show the new issue on the board without waiting for the next update
+            this.queueRefresh(draft.repository, draft.labels.length > 0 ? draft.labels : ['unlabeled'], false);
+
+        } catch (error) {
+            console.error(`❌ Error creating issue in ${draft.repository}:`, error);
+            await interaction.followUp({
+                content: `❌ GitHub rejected the issue: ${error.message}`,
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+
+    getSubscriptions(guildId) {
+        return this.subscriptions.get(guildId) || { issues: {}, labels: {} };
+    }
+
+    async toggleSubscription(guildId, userId, type, key) {
+        // type is 'issues' or 'labels', returns whether the user is now subscribed
+        const subscriptions = this.getSubscriptions(guildId);
+        const subscribers = subscriptions[type][key] || [];
+        const subscribed = !subscribers.includes(userId);
+
+        subscriptions[type][key] = subscribed
+            ? [...subscribers, userId]
+            : subscribers.filter(subscriber => subscriber !== userId);
+        if (subscriptions[type][key].length === 0) delete subscriptions[type][key];
+
+        await this.subscriptions.set(guildId, subscriptions);
+        return subscribed;
+    }
+
+    buildSubscribeComponents(repository, number) {
+        // Custom IDs are limited to 100 characters, very long repository names simply get no button
+        const customId = `subscribe:${repository}#${number}`;
+        if (customId.length > 100) return [];
+
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(customId)
+                .setEmoji('🔔')
+                .setLabel('Subscribe')
+                .setStyle(ButtonStyle.Secondary)
+        )];
+    }
+
+    async handleSubscribeCommand(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+        if (!serverData) {
+            await interaction.reply({ content: '❌ The issue tracker is not set up in this server.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (interaction.options.getSubcommand() === 'label') {
+            const name = interaction.options.getString('label').trim();
+
+            // Any label of the tracked repositories, not only the ones on the board
+            const labels = [];
+            for (const repository of serverData.settings.repositories) {
+                labels.push(...(await this.github.getLabels(repository)).map(label => label.name));
+            }
+            const label = labels.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+            if (!label) {
+                await interaction.reply({ content: `❌ There is no \`${name}\` label in ${serverData.settings.repositories.join(', ')}.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const subscribed = await this.toggleSubscription(interaction.guild.id, interaction.user.id, 'labels', label.toLowerCase());
+            await interaction.reply({
+                content: subscribed
+                    ? `🔔 You'll get a DM whenever an issue is labeled \`${label}\`.`
+                    : `🔕 Unsubscribed from the \`${label}\` label.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const number = interaction.options.getInteger('number');
+        const repository = this.resolveRepositoryOption(interaction, serverData);
+
+        if (!repository) {
+            await interaction.reply({ content: `❌ \`${interaction.options.getString('repository')}\` is not tracked in this server.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        // Only open issues can change, the snapshot of the last update knows all of them
+        const snapshot = this.issueSnapshots.get(interaction.guild.id);
+        if (!snapshot?.repositories[repository]?.issues[number]) {
+            await interaction.reply({ content: `❌ #${number} is not an open issue in ${repository}.`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await this.replyToggleIssueSubscription(interaction, repository, number);
+    }
+
+    async handleSubscribeButton(interaction) {
+        const [repository, number] = interaction.customId.slice('subscribe:'.length).split('#');
+        await this.replyToggleIssueSubscription(interaction, repository, Number(number));
+    }
+
+    async replyToggleIssueSubscription(interaction, repository, number) {
+        const subscribed = await this.toggleSubscription(interaction.guild.id, interaction.user.id, 'issues', `${repository}#${number}`);
+        await interaction.reply({
+            content: subscribed
+                ? `🔔 You'll get a DM when ${repository}#${number} is commented on, relabeled or closed.`
+                : `🔕 Unsubscribed from ${repository}#${number}.`,
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    async handleSubscriptionsCommand(interaction) {
+        const subscriptions = this.getSubscriptions(interaction.guild.id);
+        const userId = interaction.user.id;
+
+        const entries = [
+            ...Object.entries(subscriptions.issues)
+                .filter(([, subscribers]) => subscribers.includes(userId))
+                .map(([key]) => ({ label: `Issue ${key}`, value: `issues:${key}` })),
+            ...Object.entries(subscriptions.labels)
+                .filter(([, subscribers]) => subscribers.includes(userId))
+                .map(([key]) => ({ label: `Label ${key}`, value: `labels:${key}` }))
+        ];
+
+        if (entries.length === 0) {
+            await interaction.reply({ content: 'You have no subscriptions. Use `/subscribe` to add one.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        // Select menus hold at most 25 options (values and labels at most 100 characters)
+        const removable = entries.filter(entry => entry.value.length <= 100).slice(0, 25);
+        const components = removable.length > 0
+            ? [new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId('subscriptions-remove')
+                    .setPlaceholder('Select subscriptions to remove')
+                    .setMinValues(1)
+                    .setMaxValues(removable.length)
+                    .addOptions(removable.map(entry => ({ ...entry, label: entry.label.substring(0, 100) })))
+            )]
+            : [];
+
+        await interaction.reply({
+            content: `🔔 **Your subscriptions**\n${entries.map(entry => `• ${entry.label}`).join('\n')}`.substring(0, 2000),
+            components,
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    async handleRemoveSubscriptions(interaction) {
+        const subscriptions = this.getSubscriptions(interaction.guild.id);
+
+        for (const value of interaction.values) {
+            const type = value.substring(0, value.indexOf(':'));
+            const key = value.substring(value.indexOf(':') + 1);
+            if (subscriptions[type]?.[key]?.includes(interaction.user.id)) {
+                await this.toggleSubscription(interaction.guild.id, interaction.user.id, type, key);
+            }
+        }
+
+        await interaction.update({ content: `🔕 Removed ${interaction.values.length} subscription(s).`, components: [] });
+    }
+
+    async notifySubscribers(guildId, changes) {
+        const subscriptions = this.getSubscriptions(guildId);
+        if (changes.length === 0 || (Object.keys(subscriptions.issues).length === 0 && Object.keys(subscriptions.labels).length === 0)) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+
+        // Collect one message per user: userId -> [lines]
+        const notifications = new Map();
+        const notify = (userIds, line) => {
+            for (const userId of userIds) {
+                if (!notifications.has(userId)) notifications.set(userId, []);
+                if (!notifications.get(userId).includes(line)) notifications.get(userId).push(line);
+            }
+        };
+
+        for (const change of changes) {
+            const issueKey = `${change.repository}#${change.issue.number}`;
+            const issueLink = `**[${issueKey}](${change.issue.html_url})** ${change.issue.title}`;
+            const issueSubscribers = subscriptions.issues[issueKey] || [];
+
+            switch (change.type) {
+                case 'commented':
+                    notify(issueSubscribers, `💬 ${change.count} new comment${change.count !== 1 ? 's' : ''} on ${issueLink}`);
+                    break;
+
+                case 'relabeled': {
+                    const labelChanges = [...change.added.map(label => `+\`${label}\``), ...change.removed.map(label => `−\`${label}\``)];
+                    notify(issueSubscribers, `🏷️ ${labelChanges.join(' ')} on ${issueLink}`);
+
+                    // Label subscribers hear about issues that just got their label
+                    for (const label of change.added) {
+                        notify(subscriptions.labels[label.toLowerCase()] || [], `🏷️ Now labeled \`${label}\`: ${issueLink}`);
+                    }
+                    break;
+                }
+
+                case 'opened':
+                    for (const label of change.issue.labels) {
+                        notify(subscriptions.labels[label.name.toLowerCase()] || [], `🆕 New \`${label.name}\` issue: ${issueLink}`);
+                    }
+                    break;
+
+                case 'closed': {
+                    const reason = { not_planned: ' as not planned', duplicate: ' as duplicate' }[change.stateReason] || '';
+                    notify(issueSubscribers, `✅ Closed${reason}: ${issueLink}`);
+
+                    // Closed issues won't change anymore
+                    delete subscriptions.issues[issueKey];
+                    break;
+                }
+            }
+        }
+
+        await this.subscriptions.set(guildId, subscriptions);
+
+        for (const [userId, lines] of notifications) {
+            try {
+                const user = await this.client.users.fetch(userId);
+                const embed = new EmbedBuilder()
+                    .setTitle(`🔔 Issue updates from ${guild.name}`)
+                    .setColor(0x7289da)
+                    .setDescription(lines.join('\n').substring(0, 4096))
+                    .setTimestamp();
+                await user.send({ embeds: [embed] });
+            } catch (error) {
+                // DMs disabled or user gone
+                console.log(`🔕 Could not DM subscriber ${userId}: ${error.message}`);
+            }
+        }
+
+        if (notifications.size > 0) {
+            console.log(`🔔 Notified ${notifications.size} subscriber(s) in ${guild.name}`);
+        }
+    }
+
+    findIssueReferences(content, repositories) {
+        // Ignore references inside code
+        const text = content.replace(/```[\s\S]*?```/g, '').replace(/`[^`]*`/g, '');
+        const references = new Map();
+        const addReference = (repository, number) => {
+            // Tracked repositories keep their canonical casing
+            const tracked = repositories.find(candidate => candidate.toLowerCase() === repository.toLowerCase());
+            const key = `${(tracked || repository).toLowerCase()}#${number}`;
+            if (!references.has(key)) references.set(key, { repository: tracked || repository, number: Number(number) });
+        };
+
+        // Issue and pull request URLs of any repository
+        for (const match of text.matchAll(/https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)/g)) {
+            addReference(match[1], match[2]);
+        }
+
+        // #1234 (first tracked repository) and owner/repo#1234, outside of links, mentions (<#channel>, <@user>)
+        // and HTML entities (&#39;) - numbers longer than an issue number are Discord IDs, not issues
+        const withoutLinks = text
+            .replace(/https?:\/\/\S+/g, '')
+            .replace(/<(?:#|@[!&]?)\d+>/g, '')
+            .replace(/&#\d+;/g, '');
+        for (const match of withoutLinks.matchAll(/(?<![\w.\/#<&-])(?:([\w.-]+\/[\w.-]+))?#(\d{1,9})\b/g)) {
+            addReference(match[1] || repositories[0], match[2]);
+        }
+
+        return [...references.values()];
+    }
+
+    async unfurlIssueReferences(message, serverData) {
+        const settings = serverData.settings;
+        if (!settings.unfurl) return;
+
+        // Threads follow their parent channel
+        const channelIds = settings.unfurlChannelIds;
+        if (channelIds.length > 0 && !channelIds.includes(message.channel.id) && !channelIds.includes(message.channel.parentId)) return;
+
+        const references = this.findIssueReferences(message.content, settings.repositories).slice(0, config.UNFURL_MAX_REFERENCES);
+        if (references.length === 0) return;
+
+        // Per-channel rate limit, so spamming references can't drain the GitHub quota
+        const now = Date.now();
+        const recent = (this.unfurlHistory.get(message.channel.id) || []).filter(time => now - time < 60 * 1000);
+        const allowed = references.slice(0, Math.max(0, config.UNFURL_RATE_LIMIT - recent.length));
+        this.unfurlHistory.set(message.channel.id, [...recent, ...allowed.map(() => now)]);
+
+        if (allowed.length < references.length) {
+            console.log(`⏳ Unfurl rate limit reached in #${message.channel.name} (${message.guild.name})`);
+        }
+
+        // Fetched fresh, references usually point at issues that just changed
+        const issues = [];
+        for (const reference of allowed) {
+            try {
+                issues.push({ ...reference, issue: await this.github.getCurrentIssue(reference.repository, reference.number) });
+            } catch (error) {
+                // Unknown issue, private repository or just a "#1" that isn't a reference
+                if (error.status !== 404) {
+                    console.error(`❌ Error fetching ${reference.repository}#${reference.number}:`, error.message);
+                }
+            }
+        }
+        if (issues.length === 0) return;
+
+        // A single open issue of a tracked repository can be subscribed to right away
+        const [first] = issues;
+        const subscribable = issues.length === 1 && first.issue.state === 'open' && !first.issue.pull_request &&
+            settings.repositories.includes(first.repository);
+
+        await message.reply({
+            embeds: issues.map(({ repository, issue }) => this.buildIssueSummaryEmbed(repository, issue, serverData.labelPriority)),
+            components: subscribable ? this.buildSubscribeComponents(first.repository, first.issue.number) : [],
+            allowedMentions: { repliedUser: false }
+        });
+    }
+
+    getIssueState(issue) {
+        if (issue.state === 'open') return issue.draft ? '📝 Draft' : '🟢 Open';
+        if (issue.pull_request) return issue.pull_request.merged_at ? '🟣 Merged' : '🔴 Closed';
+        return issue.state_reason === 'not_planned' ? '⚪ Closed as not planned' : '🟣 Closed';
+    }
+
+    buildIssueSummaryEmbed(repository, issue, labelPriority) {
+        // Colour of the issue's board label, or of its first label
+        const labelNames = issue.labels.map(label => label.name);
+        const colorLabel = issue.labels.find(label => labelPriority.some(key => key.toLowerCase() === label.name.toLowerCase())) ||
+            issue.labels[0];
+
+        const title = `${issue.pull_request ? '🔀' : '📌'} #${issue.number} ${issue.title}`;
+        const body = (issue.body || '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const embed = new EmbedBuilder()
+            .setTitle(title.length > 256 ? `${title.substring(0, 253)}...` : title)
+            .setURL(issue.html_url)
+            .setColor(this.getLabelColor(colorLabel))
+            .setAuthor({ name: repository })
+            .addFields(
+                { name: 'State', value: this.getIssueState(issue), inline: true },
+                { name: 'Assignee', value: issue.assignees?.map(assignee => assignee.login).join(', ') || 'None', inline: true },
+                { name: 'Opened', value: `${this.getTimeAgo(new Date(issue.created_at))} by ${issue.user?.login ?? 'ghost'}`, inline: true },
+                { name: 'Labels', value: labelNames.map(name => `\`${name}\``).join(' ') || 'None', inline: false }
+            );
+
+        if (body) {
+            embed.setDescription(body.length > 300 ? `${body.substring(0, 297)}...` : body);
+        }
+
+        return embed;
+    }
+
+    async initializeAllServers() {
+        console.log('🔧 Initializing all servers...');
+
+        for (const guild of this.client.guilds.cache.values()) {
+            await this.initializeServer(guild);
+        }
+
+        // Start periodic updates for all servers (slow fallback when webhooks push changes)
+        console.log(`⏰ Starting periodic updates every ${this.scheduler.interval / 60000} minutes`);
+        this.scheduler.start();
+
+        // Digests are due at a time of day, so they're checked once a minute
+        this.digestTimer = setInterval(() => this.checkDigests(), 60 * 1000);
+    }
+
+    async initializeServer(guild) {
+        try {
+            console.log(`🔧 Setting up server: ${guild.name} (${guild.id})`);
+
+            // Load this server's configuration from the persistent store
+            const settings = this.getGuildConfig(guild.id);
+
+            // Find the issues channel (configured ID first, default channel name otherwise)
+            const issuesChannel = settings.channelId
+                ? guild.channels.cache.get(settings.channelId)
+                : guild.channels.cache.find(channel => channel.name === config.ISSUES_CHANNEL);
+
+            // Text channels get the embed board, forum channels one post per issue
+            if (!issuesChannel || ![ChannelType.GuildText, ChannelType.GuildForum].includes(issuesChannel.type)) {
+                console.log(`❌ No issues channel found in ${guild.name}`);
+                this.servers.delete(guild.id);
+                return;
+            }
+
+            console.log(`📋 Found issues channel in ${guild.name}: #${issuesChannel.name}`);
+
+            // Reload board message IDs, unless they were posted in a different channel
+            const registered = this.messageRegistry.get(guild.id);
+            const messageIds = registered?.channelId === issuesChannel.id
+                ? new Map(Object.entries(registered.messages))
+                : new Map();
+
+            this.servers.set(guild.id, this.createServerData(settings, issuesChannel, messageIds));
+
+            // Fetch labels and do initial update
+            await this.fetchLabelsForServer(guild.id);
+            await this.cleanupBoardMessages(guild.id);
+            await this.updateIssuesForServer(guild.id);
+
+            console.log(`✅ Successfully initialized ${guild.name}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to initialize ${guild.name}:`, error);
+        }
+    }
+
+    createServerData(settings, issuesChannel, messageIds) {
+        return {
+            settings: settings,
+            issuesChannel: issuesChannel,
+            messageIds: messageIds, // messageKey -> messageId
+            boardPages: new Map(), // messageKey -> { pages, page } for paginated embeds
+            labelsComplete: false, // Whether every repository's labels were fetched successfully
+            availableLabels: new Set(),
+            labelPriority: [], // Group keys in priority order
+            groups: [], // Board groups with their rules, see resolveGroups
+            latestIssues: new Map(), // repository -> open issues of the last update
+            rebuildPending: false, // A split embed grew a page that can't be posted in order
+            repositories: new Map() // repository -> { availableLabels, labelPriority, groups, openIssues }
+        };
+    }
+
+    saveMessageIds(guildId) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        return this.messageRegistry.set(guildId, {
+            channelId: serverData.issuesChannel.id,
+            messages: Object.fromEntries(serverData.messageIds)
+        });
+    }
+
+    getBoardBlocks(serverData) {
+        // Each block of label embeds covers one repository, or all of them when combined
+        const { settings } = serverData;
+
+        if (settings.repoLayout === 'combined' && settings.repositories.length > 1) {
+            return [{ repositories: settings.repositories, labelPriority: serverData.labelPriority, groups: serverData.groups }];
+        }
+
+        return settings.repositories.map(repository => ({
+            repositories: [repository],
+            labelPriority: serverData.repositories.get(repository)?.labelPriority || [],
+            groups: serverData.repositories.get(repository)?.groups || []
+        }));
+    }
+
+    getBoardMessageKeys(serverData) {
+        return this.getBoardBlocks(serverData).flatMap(block => [
+            ...block.labelPriority.map(label => this.getMessageKey(serverData.settings, label, block.repositories)),
+            ...(this.isTrackingPullRequests(serverData.settings)
+                ? PULL_REQUEST_GROUPS.map(group => this.getMessageKey(serverData.settings, `pull-requests:${group.key}`, block.repositories))
+                : []),
+            ...(serverData.settings.trackMilestones
+                ? [this.getMessageKey(serverData.settings, 'milestones', block.repositories)]
+                : [])
+        ]);
+    }
+
+    async cleanupBoardMessages(guildId) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        // Forum channels have no board messages, only posts
+        if (this.isForumBoard(serverData)) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+
+        try {
+            console.log(`🧹 Checking board messages in ${guild.name}...`);
+
+            // Drop registered embeds for labels that are no longer on the board
+            // (only when labels were fetched, a GitHub outage must not wipe the board)
+            if (serverData.labelsComplete) {
+                const expectedKeys = new Set(this.getBoardMessageKeys(serverData));
+                for (const [messageKey, messageId] of serverData.messageIds) {
+                    // Continuation pages of split embeds belong to their first page
+                    if (!expectedKeys.has(messageKey.replace(/#page\d+$/, ''))) {
+                        await this.deleteBoardMessage(serverData, messageId);
+                        serverData.messageIds.delete(messageKey);
+                        console.log(`🗑️ Removed embed for '${messageKey}' (no longer tracked)`);
+                    }
+                }
+            }
+
+            // Any other board embed from this bot is an orphan or a duplicate of a registered one
+            const registeredIds = new Set(serverData.messageIds.values());
+            const orphans = (await this.fetchChannelHistory(serverData.issuesChannel, config.CLEANUP_SCAN_LIMIT))
+                .filter(message => this.isBoardMessage(message) && !registeredIds.has(message.id));
+
+            for (const message of orphans) {
+                await this.deleteBoardMessage(serverData, message.id);
+            }
+
+            await this.saveMessageIds(guildId);
+
+            console.log(`🧹 ${serverData.messageIds.size} registered board messages in ${guild.name}, removed ${orphans.length} orphaned`);
+
+        } catch (error) {
+            console.error(`❌ Error cleaning up board messages for ${guild.name}:`, error);
+        }
+    }
+
+    async rebuildBoard(guildId) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        console.log(`🧱 Rebuilding board in ${guild.name}...`);
+
+        // Wipe every registered and orphaned board embed
+        for (const messageId of serverData.messageIds.values()) {
+            await this.deleteBoardMessage(serverData, messageId);
+        }
+        serverData.messageIds.clear();
+        await this.cleanupBoardMessages(guildId);
+
+        // Post the board again - new messages are sent in label priority order
+        await this.updateIssuesForServer(guildId);
+    }
+
+    async fetchChannelHistory(channel, limit) {
+        // Page backwards through the channel, 100 messages at a time
+        const messages = [];
+        let before;
+
+        while (messages.length < limit) {
+            const batch = await channel.messages.fetch({ limit: Math.min(100, limit - messages.length), before });
+            messages.push(...batch.values());
+            if (batch.size < 100) break;
+            before = batch.lastKey();
+        }
+
+        return messages;
+    }
+
+    isBoardMessage(message) {
+        // Board embeds are standalone bot messages with the board footer - replies, slash command responses,
+        // release announcements and digests are left alone
+        return message.author.id === this.client.user.id &&
+            message.embeds[0]?.footer?.text?.startsWith(BOARD_FOOTER) &&
+            !message.reference &&
+            !message.interactionMetadata;
+    }
+
+    async deleteBoardMessage(serverData, messageId) {
+        try {
+            await serverData.issuesChannel.messages.delete(messageId);
+            this.metrics.inc('discord_messages_total', { action: 'delete' });
+        } catch (error) {
+            // Already deleted
+            if (error.code === 10008) return;
+            console.error(`❌ Error deleting board message ${messageId}:`, error);
+        }
+    }
+
+    async fetchLabelsForServer(guildId) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const { settings } = serverData;
+
+        console.log(`🏷️ Fetching labels for ${guild.name}...`);
+
+        // Groups are resolved per repository: repository -> { availableLabels, labelPriority, groups }
+        serverData.repositories = new Map();
+        serverData.labelsComplete = true;
+
+        const allLabels = [];
+        for (const repository of settings.repositories) {
+            const labels = await this.fetchLabelsForRepository(guild, repository);
+            if (!labels) {
+                // Without the labels, keep every group that isn't expanded from labels
+                serverData.labelsComplete = false;
+            } else {
+                allLabels.push(...labels.filter(label => !allLabels.some(existing => existing.name.toLowerCase() === label.name.toLowerCase())));
+            }
+
+            const groups = this.resolveGroups(settings, labels);
+            serverData.repositories.set(repository, {
+                availableLabels: this.getTrackedLabels(groups, labels),
+                labelPriority: groups.map(group => group.key), // Group keys in priority order
+                groups,
+                openIssues: 0
+            });
+        }
+
+        // Groups over the labels of all repositories (used by combined embeds and commands)
+        const labels = serverData.labelsComplete ? allLabels : null;
+        serverData.groups = this.resolveGroups(settings, labels);
+        serverData.labelPriority = serverData.groups.map(group => group.key);
+        serverData.availableLabels = this.getTrackedLabels(serverData.groups, labels);
+
+        console.log(`📝 Found ${serverData.groups.length} groups and ${serverData.availableLabels.size} labels for ${guild.name}:`,
+            serverData.labelPriority.join(', '));
+    }
+
+    async fetchLabelsForRepository(guild, repository) {
+        try {
+            return await this.github.getLabels(repository);
+        } catch (error) {
+            console.error(`❌ Error fetching labels for ${repository} in ${guild.name}:`, error);
+            return null;
+        }
+    }
+
+    resolveGroups(settings, labels) {
+        // Turn the configured groups into board groups, labels is null when they couldn't be fetched
+        const groups = [];
+
+        const addGroup = (definition, rule, label) => {
+            // Groups that aren't exactly one label take the color of the first label they're about
+            const colorLabel = label ?? labels?.find(candidate => rule.matchesLabel(candidate.name) && rule.matches({ labels: [candidate] }));
+            // Single-label groups use GitHub's casing of the label name
+            const key = label && definition.name.toLowerCase() === label.name.toLowerCase() ? label.name : definition.name;
+            if (groups.some(group => group.key.toLowerCase() === key.toLowerCase())) return;
+
+            groups.push({
+                key,
+                title: definition.title ?? `${key.toUpperCase()} Issues`,
+                emoji: definition.emoji ?? '🏷️',
+                color: definition.color ?? this.getLabelColor(colorLabel),
+                rule,
+                label: label?.name ?? rule.getLabel() // Set for groups that are exactly one label
+            });
+        };
+
+        for (const definition of settings.groups) {
+            const rule = new GroupRule(definition.rule);
+
+            // '*' is one group per matching label, in GitHub's order
+            if (definition.name === '*') {
+                for (const label of labels || []) {
+                    if (rule.matches({ labels: [label] })) {
+                        addGroup({ ...definition, name: label.name, title: undefined }, new GroupRule(`label:"${label.name}"`), label);
+                    }
+                }
+                continue;
+            }
+
+            // Groups for a label the repository doesn't have would always be empty
+            const labelName = rule.getLabel();
+            const label = labelName ? labels?.find(candidate => candidate.name.toLowerCase() === labelName.toLowerCase()) : null;
+            if (labelName && labels && !label) continue;
+
+            addGroup(definition, rule, label);
+        }
+
+        return groups;
+    }
+
+    getTrackedLabels(groups, labels) {
+        // GitHub labels the board is about, offered when creating issues and by autocomplete
+        if (!labels) {
+            return new Set(groups.map(group => group.label).filter(Boolean));
+        }
+        return new Set(labels
+            .filter(label => groups.some(group => group.rule.matchesLabel(label.name)))
+            .map(label => label.name));
+    }
+
+    async updateAllServers() {
+        console.log('🔄 Running periodic update for all servers...');
+        const cycleStart = new Date();
+
+        // Each repository is fetched once for all servers that track it
+        this.github.startCycle();
+
+        // Servers deferred by the last cycle go first
+        const guildIds = [...new Set([...this.deferredGuilds, ...this.servers.keys()])].filter(guildId => this.servers.has(guildId));
+        this.deferredGuilds = [];
+
+        for (const [index, guildId] of guildIds.entries()) {
+            // Leave the rest of the quota to commands, the remaining servers are updated next cycle
+            if (this.github.isQuotaLow()) {
+                this.deferredGuilds = guildIds.slice(index);
+                console.log(`⏳ GitHub rate limit is low, deferring ${this.deferredGuilds.length} server(s) to the next cycle`);
+                break;
+            }
+
+            // Releases first, so announcements still see the issues that were pending release
+            const guildStart = new Date();
+            await this.checkReleasesForServer(guildId);
+            await this.updateIssuesForServer(guildId);
+
+            // A clean update clears the server's last error
+            if (!(this.guildErrors.get(guildId)?.timestamp >= guildStart)) {
+                this.guildErrors.delete(guildId);
+            }
+        }
+
+        this.lastUpdate = new Date();
+        console.log(`✅ Completed update cycle at ${this.lastUpdate.toLocaleTimeString()}`);
+
+        // Failed or deferred servers make the scheduler retry sooner
+        const failed = guildIds.filter(guildId => this.guildErrors.get(guildId)?.timestamp >= cycleStart);
+        const succeeded = failed.length === 0 && this.deferredGuilds.length === 0;
+
+        this.metrics.observe('update_cycle_duration_seconds', (this.lastUpdate - cycleStart) / 1000);
+        this.metrics.inc('update_cycles_total', { result: succeeded ? 'success' : 'failure' });
+        return succeeded;
+    }
+
+    isReady() {
+        // Gateway connected, and GitHub answered within the last few update intervals
+        const maxAge = config.READY_MAX_MISSED_INTERVALS * this.scheduler.interval;
+        return this.client.isReady() && !!this.github.lastSuccessAt && Date.now() - this.github.lastSuccessAt < maxAge;
+    }
+
+    getStatus() {
+        const rateLimits = Object.fromEntries(this.github.rateLimits);
+
+        return {
+            ready: this.isReady(),
+            gatewayConnected: this.client.isReady(),
+            lastGitHubSuccess: this.github.lastSuccessAt,
+            lastUpdate: this.lastUpdate,
+            nextUpdate: this.scheduler.running ? 'running' : this.scheduler.nextRun,
+            rateLimits,
+            rateLimitedUntil: this.github.blockedUntil > new Date() ? this.github.blockedUntil : null,
+            guilds: Array.from(this.servers, ([guildId, serverData]) => ({
+                id: guildId,
+                name: this.client.guilds.cache.get(guildId)?.name ?? null,
+                channelId: serverData.issuesChannel.id,
+                repositories: serverData.settings.repositories,
+                lastUpdate: serverData.lastUpdate ?? null,
+                deferred: this.deferredGuilds.includes(guildId),
+                lastError: this.guildErrors.get(guildId) ?? null,
+                labels: serverData.labelPriority,
+                messageIds: Object.fromEntries(serverData.messageIds)
+            }))
+        };
+    }
+
+    recordGuildError(guildId, error) {
+        this.guildErrors.set(guildId, { message: error.message, timestamp: new Date() });
+        this.metrics.inc('bot_errors_total', { where: 'update' });
+    }
+
+    handleWebhookEvent(event, payload) {
+        // Ignore deliveries for repositories no server tracks
+        const repository = payload.repository?.full_name;
+        if (!repository || this.getServersForRepository(repository).length === 0) {
+            console.log(`🪝 Ignoring '${event}' webhook for untracked repository ${repository}`);
+            return;
+        }
+
+        switch (event) {
+            case 'issues': {
+                // Refresh every embed the issue could have been in before or after the change
+                const labels = payload.issue.labels.map(label => label.name);
+                if (payload.label) labels.push(payload.label.name);
+                if (labels.length === 0 || ['labeled', 'unlabeled'].includes(payload.action)) {
+                    labels.push('unlabeled');
+                }
+                console.log(`🪝 Issue #${payload.issue.number} ${payload.action}`);
+                this.queueRefresh(repository, labels, false);
+                break;
+            }
+
+            case 'label':
+                // New labels only need their own embed, renamed or deleted labels move issues around
+                console.log(`🪝 Label '${payload.label.name}' ${payload.action}`);
+                this.queueRefresh(repository, payload.action === 'created' ? [payload.label.name] : null, true);
+                break;
+
+            case 'milestone':
+                // Milestone changes can touch any issue, so refresh everything
+                console.log(`🪝 Milestone '${payload.milestone.title}' ${payload.action}`);
+                this.queueRefresh(repository, null, false);
+                break;
+
+            case 'pull_request':
+            case 'pull_request_review':
+                // Only the pull request board shows pull requests
+                console.log(`🪝 Pull request #${payload.pull_request.number} ${payload.action}`);
+                this.queuePullRequestRefresh(repository);
+                break;
+
+            case 'release':
+                if (payload.action !== 'published') break;
+                console.log(`🪝 Release '${payload.release.tag_name}' published`);
+                for (const guildId of this.getServersForRepository(repository)) {
+                    this.announceRelease(guildId, repository, payload.release).catch(error =>
+                        console.error(`❌ Error announcing release ${payload.release.tag_name}:`, error)
+                    );
+                }
+                break;
+
+            default:
+                console.log(`🪝 Ignoring unsupported '${event}' webhook`);
+        }
+    }
+
+    getServersForRepository(repository) {
+        const repoLower = repository.toLowerCase();
+        return Array.from(this.servers.keys()).filter(guildId =>
+            this.servers.get(guildId).settings.repositories.some(tracked => tracked.toLowerCase() === repoLower)
+        );
+    }
+
+    getPendingRefresh(repository) {
+        // Merge with any refresh already waiting so bursts of deliveries cause a single update
+        const repoLower = repository.toLowerCase();
+        const pending = this.pendingRefreshes.get(repoLower) ||
+            { repository, issues: false, labels: new Set(), refetchLabels: false, pullRequests: false };
+        this.pendingRefreshes.set(repoLower, pending);
+
+        if (!this.refreshTimer) {
+            // The delivery was already answered, failures can only be logged
+            this.refreshTimer = setTimeout(() => this.flushQueuedRefresh().catch(error => {
+                console.error('❌ Error applying webhook refresh:', error);
+                this.metrics.inc('bot_errors_total', { where: 'webhook' });
+            }), config.WEBHOOK_DEBOUNCE * 1000);
+        }
+
+        return pending;
+    }
+
+    queueRefresh(repository, labels, refetchLabels) {
+        const pending = this.getPendingRefresh(repository);
+        pending.issues = true;
+
+        if (labels === null || pending.labels === null) {
+            pending.labels = null;
+        } else {
+            labels.forEach(label => pending.labels.add(label.toLowerCase()));
+        }
+        pending.refetchLabels = pending.refetchLabels || refetchLabels;
+    }
+
+    queuePullRequestRefresh(repository) {
+        this.getPendingRefresh(repository).pullRequests = true;
+    }
+
+    async flushQueuedRefresh() {
+        const pendingRefreshes = Array.from(this.pendingRefreshes.values());
+        this.pendingRefreshes.clear();
+        this.refreshTimer = null;
+
+        for (const { repository, issues, labels, refetchLabels, pullRequests } of pendingRefreshes) {
+            console.log(`🔄 Applying targeted update for ${repository} (${[
+                ...(issues ? [labels ? Array.from(labels).join(', ') : 'all labels'] : []),
+                ...(pullRequests ? ['pull requests'] : [])
+            ].join(', ')})`);
+
+            // Drop this cycle's cached data so the change is fetched
+            this.github.invalidate(repository);
+
+            for (const guildId of this.getServersForRepository(repository)) {
+                if (refetchLabels) {
+                    await this.fetchLabelsForServer(guildId);
+                }
+                if (issues) {
+                    await this.updateIssuesForServer(guildId, labels, repository);
+                }
+                if (pullRequests) {
+                    await this.updatePullRequestsForServer(guildId, repository);
+                }
+            }
+        }
+
+        this.lastUpdate = new Date();
+    }
+
+    async updateIssuesForServer(guildId, onlyLabels = null, onlyRepository = null) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const { settings } = serverData;
+        const combined = settings.repoLayout === 'combined' && settings.repositories.length > 1;
+
+        try {
+            console.log(`🔄 Updating issues for ${guild.name}...`);
+
+            // A targeted refresh of one repository only needs that repository, unless embeds are combined
+            const repositories = onlyRepository && !combined
+                ? settings.repositories.filter(repository => repository.toLowerCase() === onlyRepository.toLowerCase())
+                : settings.repositories;
+
+            // Fetch all open issues from GitHub (excluding pull requests)
+            const issuesByRepository = new Map();
+            for (const repository of repositories) {
+                const issues = await this.github.getOpenIssues(repository);
+
+                // Filter out pull requests (GitHub API returns PRs as issues)
+                const actualIssues = issues.filter(issue => !issue.pull_request);
+                issuesByRepository.set(repository, actualIssues);
+
+                const repositoryData = serverData.repositories.get(repository);
+                if (repositoryData) repositoryData.openIssues = actualIssues.length;
+
+                console.log(`✅ Fetched ${actualIssues.length} issues from ${repository} for ${guild.name} (${issues.length - actualIssues.length} PRs ignored)`);
+            }
+
+            // Forum channels mirror every tracked issue as a post instead of showing embeds
+            if (this.isForumBoard(serverData)) {
+                await this.syncForumPosts(guildId, issuesByRepository);
+            }
+
+            if (!this.isForumBoard(serverData)) {
+                await this.updateIssueEmbeds(guildId, issuesByRepository, onlyLabels);
+            }
+
+            // Compare against the previous update and report what changed
+            const changes = await this.diffIssueSnapshot(guildId, issuesByRepository);
+            await this.postActivityEntries(guildId, changes);
+            await this.notifySubscribers(guildId, changes);
+            await this.recordDigestChanges(guildId, changes);
+
+            // Open issues of the last update, digests are built from them
+            for (const [repository, issues] of issuesByRepository) {
+                serverData.latestIssues.set(repository, issues);
+            }
+
+            serverData.lastUpdate = new Date();
+        } catch (error) {
+            console.error(`❌ Error updating issues for ${guild.name}:`, error);
+            this.recordGuildError(guildId, error);
+        }
+
+        // Pull requests only change with pull request webhooks, targeted issue refreshes leave them alone
+        if (!onlyRepository) {
+            await this.updatePullRequestsForServer(guildId);
+        }
+        await this.updateMilestonesForServer(guildId, onlyRepository);
+
+        // A split embed needs another page: post the whole board again so it stays in priority order
+        if (serverData.rebuildPending) {
+            serverData.rebuildPending = false;
+            await this.rebuildBoard(guildId);
+        }
+    }
+
+    isForumBoard(serverData) {
+        return serverData.issuesChannel.type === ChannelType.GuildForum;
+    }
+
+    async syncForumPosts(guildId, issuesByRepository) {
+        const serverData = this.servers.get(guildId);
+        const guild = this.client.guilds.cache.get(guildId);
+        const forum = serverData.issuesChannel;
+
+        // Posts of a previous forum channel are left alone, the new channel starts empty
+        const stored = this.forumPosts.get(guildId);
+        const posts = stored?.channelId === forum.id ? { ...stored.posts } : {};
+
+        const tags = await this.ensureForumTags(serverData);
+        let created = 0;
+
+        for (const [repository, issues] of issuesByRepository) {
+            const groups = serverData.repositories.get(repository)?.groups || [];
+            const openNumbers = new Set(issues.map(issue => issue.number));
+
+            // Every issue that is in a group gets a post, oldest issues first
+            const trackedIssues = issues
+                .filter(issue => this.getIssueGroup(issue, groups))
+                .sort((a, b) => a.number - b.number);
+
+            for (const issue of trackedIssues) {
+                const key = `${repository}#${issue.number}`;
+
+                try {
+                    if (posts[key]) {
+                        await this.updateForumPost(serverData, repository, issue, posts[key], tags);
+                    } else if (created < config.FORUM_POSTS_PER_UPDATE) {
+                        posts[key] = await this.createForumPost(serverData, repository, issue, tags);
+                        created++;
+                    }
+                } catch (error) {
+                    // Deleted posts are created again in the next update
+                    if (error.code === 10003) {
+                        delete posts[key];
+                        continue;
+                    }
+                    console.error(`❌ Error syncing forum post for ${key} in ${guild.name}:`, error);
+                }
+            }
+
+            // Closed issues and issues that left every group get their post archived
+            const trackedNumbers = new Set(trackedIssues.map(issue => issue.number));
+            for (const [key, post] of Object.entries(posts)) {
+                if (!key.startsWith(`${repository}#`) || post.archived) continue;
+
+                const number = Number(key.slice(repository.length + 1));
+                if (trackedNumbers.has(number)) continue;
+
+                try {
+                    await this.archiveForumPost(serverData, post, !openNumbers.has(number));
+                } catch (error) {
+                    if (error.code === 10003) {
+                        delete posts[key];
+                        continue;
+                    }
+                    console.error(`❌ Error archiving forum post for ${key} in ${guild.name}:`, error);
+                }
+            }
+        }
+
+        await this.forumPosts.set(guildId, { channelId: forum.id, posts });
+
+        if (created > 0) {
+            console.log(`🧵 Created ${created} forum posts in ${guild.name}`);
+        }
+    }
+
+    async ensureForumTags(serverData) {
+        // Forum tags hold at most 20 characters, and a forum at most 20 tags
+        const forum = serverData.issuesChannel;
+        const existing = forum.availableTags;
+        const missing = Array.from(serverData.availableLabels)
+            .filter(label => !existing.some(tag => tag.name.toLowerCase() === label.substring(0, 20).toLowerCase()))
+            .slice(0, 20 - existing.length);
+
+        if (missing.length === 0) return existing;
+
+        try {
+            const updated = await forum.setAvailableTags(
+                [...existing, ...missing.map(label => ({ name: label.substring(0, 20) }))],
+                'Tags for the tracked GitHub labels'
+            );
+            console.log(`🏷️ Added forum tags in #${forum.name}: ${missing.join(', ')}`);
+            return updated.availableTags;
+        } catch (error) {
+            // Creating tags needs Manage Channels, posts still get the tags that exist
+            console.error(`❌ Could not add forum tags in #${forum.name}:`, error.message);
+            return existing;
+        }
+    }
+
+    getForumPostName(serverData, repository, issue) {
+        const prefix = serverData.settings.repositories.length > 1 ? repository.split('/')[1] : '';
+        return `${prefix}#${issue.number} ${issue.title}`.substring(0, 100);
+    }
+
+    getForumTagIds(issue, tags) {
+        // A post can have at most 5 tags
+        return issue.labels
+            .map(label => tags.find(tag => tag.name.toLowerCase() === label.name.substring(0, 20).toLowerCase())?.id)
+            .filter(Boolean)
+            .slice(0, 5);
+    }
+
+    getForumPostSignature(issue) {
+        // Everything the first message of a post shows, posts are only edited when it changes
+        return JSON.stringify([
+            issue.title,
+            issue.body,
+            issue.labels.map(label => label.name),
+            issue.assignees?.map(assignee => assignee.login),
+            issue.milestone?.title
+        ]);
+    }
+
+    async createForumPost(serverData, repository, issue, tags) {
+        const thread = await serverData.issuesChannel.threads.create({
+            name: this.getForumPostName(serverData, repository, issue),
+            message: { embeds: [this.buildIssueSummaryEmbed(repository, issue, serverData.labelPriority)] },
+            appliedTags: this.getForumTagIds(issue, tags),
+            reason: `Mirror of ${repository}#${issue.number}`
+        });
+
+        // Existing comments stay on GitHub, the post mirrors the ones added from now on
+        return {
+            threadId: thread.id,
+            signature: this.getForumPostSignature(issue),
+            comments: issue.comments,
+            commentsSince: issue.updated_at, // Comments created later are new (every comment bumps updated_at)
+            lastCommentId: null,
+            archived: false,
+            closed: false
+        };
+    }
+
+    async updateForumPost(serverData, repository, issue, post, tags) {
+        const signature = this.getForumPostSignature(issue);
+        if (signature === post.signature && issue.comments === post.comments && !post.archived) return;
+
+        const thread = await serverData.issuesChannel.threads.fetch(post.threadId);
+
+        // Discord also archives inactive posts on its own, archived posts can't be edited or replied to
+        if (post.archived || thread.archived) {
+            await thread.setArchived(false);
+            if (post.closed) await thread.send('🔓 The issue was reopened on GitHub.');
+            post.archived = false;
+            post.closed = false;
+        }
+
+        if (signature !== post.signature) {
+            await thread.edit({
+                name: this.getForumPostName(serverData, repository, issue),
+                appliedTags: this.getForumTagIds(issue, tags)
+            });
+            const starterMessage = await thread.fetchStarterMessage();
+            await starterMessage?.edit({ embeds: [this.buildIssueSummaryEmbed(repository, issue, serverData.labelPriority)] });
+            post.signature = signature;
+        }
+
+        if (issue.comments !== post.comments) {
+            await this.postForumComments(thread, repository, issue, post);
+        }
+    }
+
+    async postForumComments(thread, repository, issue, post) {
+        const comments = await this.github.getIssueComments(repository, issue.number);
+
+        // Comments after the last one mirrored - for new posts, the ones created after the post
+        // (posts from before commentsSince only have the comment count at creation)
+        const newComments = post.lastCommentId
+            ? comments.filter(comment => comment.id > post.lastCommentId)
+            : post.commentsSince
+                ? comments.filter(comment => new Date(comment.created_at) > new Date(post.commentsSince))
+                : comments.slice(post.comments);
+
+        for (const comment of newComments) {
+            if (comment.body?.includes(FORUM_REPLY_MARKER)) continue;
+            await thread.send({ embeds: [this.buildCommentEmbed(comment)] });
+        }
+
+        post.comments = issue.comments;
+        post.lastCommentId = comments.at(-1)?.id ?? post.lastCommentId;
+    }
+
+    buildCommentEmbed(comment) {
+        const body = (comment.body || '').replace(/<!--[\s\S]*?-->/g, '').trim() || '*No text*';
+
+        return new EmbedBuilder()
+            .setAuthor({ name: comment.user?.login ?? 'ghost', iconURL: comment.user?.avatar_url, url: comment.user?.html_url })
+            .setTitle('💬 New comment on GitHub')
+            .setURL(comment.html_url)
+            .setDescription(body.length > 4000 ? `${body.substring(0, 3997)}...` : body)
+            .setColor(0x24292f)
+            .setTimestamp(new Date(comment.created_at));
+    }
+
+    async archiveForumPost(serverData, post, closed) {
+        const thread = await serverData.issuesChannel.threads.fetch(post.threadId);
+        if (closed) await thread.send('🔒 The issue was closed on GitHub.');
+        await thread.setArchived(true);
+
+        post.archived = true;
+        post.closed = closed;
+    }
+
+    async handleForumReply(message, serverData) {
+        const stored = this.forumPosts.get(message.guild.id);
+        if (stored?.channelId !== serverData.issuesChannel.id) return;
+
+        const key = Object.keys(stored.posts).find(candidate => stored.posts[candidate].threadId === message.channel.id);
+        if (!key) return;
+
+        // Only members with the reply role speak for the project on GitHub
+        const roleId = serverData.settings.forumReplyRoleId;
+        if (!roleId || !message.member?.roles.cache.has(roleId)) return;
+
+        const attachments = Array.from(message.attachments.values(), attachment => `[${attachment.name}](${attachment.url})`);
+        const text = [message.content, ...attachments].filter(Boolean).join('\n\n');
+        if (!text) return;
+
+        const repository = key.slice(0, key.lastIndexOf('#'));
+        const number = Number(key.slice(key.lastIndexOf('#') + 1));
+        const footer = `_Posted from Discord by **${message.member.displayName}** (${message.author.tag})_ ${FORUM_REPLY_MARKER}${message.id} -->`;
+
+        try {
+            await this.github.createComment(repository, number, `${text}\n\n${footer}`);
+
+            console.log(`💬 ${message.author.tag} commented on ${key} from ${message.guild.name}`);
+            await this.recordAudit(message.guild, message.author, `forum reply → ${key}`, 'ok');
+            await message.react('📨');
+        } catch (error) {
+            console.error(`❌ Error commenting on ${key}:`, error);
+            this.metrics.inc('bot_errors_total', { where: 'forum' });
+            await message.react('❌').catch(() => {});
+        }
+    }
+
+    async updateIssueEmbeds(guildId, issuesByRepository, onlyLabels = null) {
+        const serverData = this.servers.get(guildId);
+        const { settings } = serverData;
+
+        for (const block of this.getBoardBlocks(serverData)) {
+            if (!block.repositories.every(repository => issuesByRepository.has(repository))) continue;
+
+            // Sorted before grouping, so the per-label limit keeps the issues that come first
+            const blockIssues = this.sortIssues(
+                block.repositories.flatMap(repository => issuesByRepository.get(repository)),
+                settings.sortOrder
+            );
+
+            const issuesByGroup = this.groupIssuesByLabel(blockIssues, block.groups, settings.maxIssuesPerLabel, settings.multiGroup);
+
+            // Update embeds for each group
+            for (const group of block.groups) {
+                // Skip label groups unaffected by a targeted (webhook) refresh; onlyLabels holds lowercase names
+                // Other rules can depend on anything, so their groups are always refreshed
+                if (onlyLabels && group.label && !onlyLabels.has(group.label.toLowerCase())) continue;
+
+                await this.updateLabelEmbed(guildId, group, issuesByGroup.get(group.key), block.repositories);
+            }
+        }
+    }
+
+    async updateMilestonesForServer(guildId, onlyRepository = null) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData?.settings.trackMilestones || this.isForumBoard(serverData)) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+
+        try {
+            for (const block of this.getBoardBlocks(serverData)) {
+                if (onlyRepository && !block.repositories.some(repository => repository.toLowerCase() === onlyRepository.toLowerCase())) continue;
+
+                const milestones = [];
+                for (const repository of block.repositories) {
+                    milestones.push(...await this.github.getMilestones(repository));
+                }
+
+                // Soonest due date first, milestones without a due date last
+                milestones.sort((a, b) => (a.due_on ? new Date(a.due_on) : Infinity) - (b.due_on ? new Date(b.due_on) : Infinity));
+
+                await this.updateMilestoneEmbed(guildId, milestones, block.repositories);
+            }
+
+        } catch (error) {
+            console.error(`❌ Error updating milestones for ${guild.name}:`, error);
+            this.recordGuildError(guildId, error);
+        }
+    }
+
+    async updateMilestoneEmbed(guildId, milestones, repositories) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const combined = repositories.length > 1;
+        const titleSuffix = !combined && serverData.settings.repositories.length > 1 ? ` · ${repositories[0]}` : '';
+
+        try {
+            const lines = milestones.map(milestone => {
+                const prefix = combined ? `\`${milestone.repository.split('/')[1]}\` ` : '';
+                const total = milestone.open_issues + milestone.closed_issues;
+                const percent = total > 0 ? Math.round(milestone.closed_issues / total * 100) : 0;
+
+                let due = '';
+                if (milestone.due_on) {
+                    const dueDate = new Date(milestone.due_on);
+                    due = ` · ${dueDate < new Date() ? '⚠️ overdue' : 'due'} <t:${Math.floor(dueDate.getTime() / 1000)}:D>`;
+                }
+
+                return `${prefix}**[${milestone.title}](${milestone.html_url})**${due}\n` +
+                    `\`${this.getProgressBar(percent)}\` ${percent}% · ${milestone.closed_issues} closed / ${milestone.open_issues} open`;
+            });
+
+            const pages = this.buildBoardPages({
+                title: `🎯 Milestones${titleSuffix}`,
+                color: 0x0969da,
+                url: `https://github.com/${repositories[0]}/milestones`,
+                lines: lines,
+                itemName: 'milestone',
+                emptyText: '✅ No open milestones',
+                linkText: 'View all milestones on GitHub'
+            });
+
+            await this.upsertBoardMessage(guildId, this.getMessageKey(serverData.settings, 'milestones', repositories), pages);
+
+        } catch (error) {
+            console.error(`❌ Error updating milestone embed in guild ${guildId}:`, error);
+        }
+    }
+
+    getProgressBar(percent, width = 10) {
+        const filled = Math.round(percent / 100 * width);
+        return '▓'.repeat(filled) + '░'.repeat(width - filled);
+    }
+
+    async checkReleasesForServer(guildId) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const snapshot = this.issueSnapshots.get(guildId) || { repositories: {} };
+
+        if (!serverData.settings.releaseAnnouncements) {
+            // No release fetches while announcements are off - turning them on starts again from the newest release
+            if (snapshot.releases || snapshot.shipped) {
+                delete snapshot.releases;
+                delete snapshot.shipped;
+                await this.issueSnapshots.set(guildId, snapshot);
+            }
+            return;
+        }
+
+        for (const repository of serverData.settings.repositories) {
+            try {
+                // Oldest first, so several new releases are announced in order
+                const releases = (await this.github.getReleases(repository))
+                    .filter(release => !release.draft && release.published_at)
+                    .sort((a, b) => new Date(a.published_at) - new Date(b.published_at));
+
+                const lastSeen = snapshot.releases?.[repository];
+                if (!lastSeen) {
+                    // First check only records the newest release
+                    snapshot.releases = { ...snapshot.releases, [repository]: releases.at(-1)?.published_at ?? new Date().toISOString() };
+                    await this.issueSnapshots.set(guildId, snapshot);
+                    continue;
+                }
+
+                for (const release of releases.filter(candidate => new Date(candidate.published_at) > new Date(lastSeen))) {
+                    await this.announceRelease(guildId, repository, release);
+                }
+
+            } catch (error) {
+                console.error(`❌ Error checking releases of ${repository} for ${guild.name}:`, error);
+                this.recordGuildError(guildId, error);
+            }
+        }
+    }
+
+    isPendingRelease(settings, labels) {
+        // Matched on the issue's labels, the board group can be renamed or be a rule (snapshots before labels only have the group)
+        const pendingLabel = settings.pendingReleaseLabel.toLowerCase();
+        return labels.some(label => label?.toLowerCase() === pendingLabel);
+    }
+
+    async announceRelease(guildId, repository, release) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData?.settings.releaseAnnouncements) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const snapshot = this.issueSnapshots.get(guildId) || { repositories: {} };
+
+        // Webhook and poll loop can both see the same release
+        const lastSeen = snapshot.releases?.[repository];
+        if (lastSeen && new Date(release.published_at) <= new Date(lastSeen)) return;
+
+        // Shipped = still open in the pending release embed + closed while pending release
+        const openPending = Object.entries(snapshot.repositories[repository]?.issues || {})
+            .filter(([, issue]) => this.isPendingRelease(serverData.settings, issue.labels || [issue.group]))
+            .map(([number, issue]) => ({ number: Number(number), title: issue.title }));
+        const shipped = [...(snapshot.shipped?.[repository] || []), ...openPending]
+            .sort((a, b) => a.number - b.number);
+
+        snapshot.releases = { ...snapshot.releases, [repository]: release.published_at };
+        snapshot.shipped = { ...snapshot.shipped, [repository]: [] };
+        await this.issueSnapshots.set(guildId, snapshot);
+
+        let channel = (serverData.settings.releaseChannelId && guild.channels.cache.get(serverData.settings.releaseChannelId)) ||
+            serverData.issuesChannel;
+
+        const lines = shipped.map(issue => `**[#${issue.number}](https://github.com/${repository}/issues/${issue.number})** ${issue.title}`);
+        const pages = this.buildBoardPages({
+            title: `🚀 ${release.name || release.tag_name}${release.prerelease ? ' (pre-release)' : ''}`,
+            color: 0x2ea043,
+            url: release.html_url,
+            lines: lines,
+            itemName: 'shipped issue',
+            emptyText: `Released in ${repository}`,
+            linkText: 'Read the release notes on GitHub'
+        });
+        // Forum channels get a post of its own for the announcement
+        if (channel.type === ChannelType.GuildForum) {
+            channel = await channel.threads.create({
+                name: `🚀 ${release.name || release.tag_name}`.substring(0, 100),
+                message: { content: `🚀 ${repository} ${release.tag_name} was released` }
+            });
+        }
+
+        // Long lists continue in follow-up messages
+        for (const [index, embed] of pages.entries()) {
+            embed
+                .setAuthor({ name: repository })
+                .setFooter({ text: `${shipped.length} shipped issue${shipped.length !== 1 ? 's' : ''}${pages.length > 1 ? ` • Part ${index + 1}/${pages.length}` : ''}` });
+            await channel.send({ embeds: [embed] });
+        }
+        console.log(`🚀 Announced ${repository} ${release.tag_name} in ${guild.name} (${shipped.length} shipped issues)`);
+    }
+
+    isTrackingPullRequests(settings) {
+        // The pull request board needs GraphQL, which only works with a token
+        return settings.trackPullRequests && !!config.GITHUB_TOKEN;
+    }
+
+    async updatePullRequestsForServer(guildId, onlyRepository = null) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData || !this.isTrackingPullRequests(serverData.settings) || this.isForumBoard(serverData)) return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+
+        try {
+            for (const block of this.getBoardBlocks(serverData)) {
+                if (onlyRepository && !block.repositories.some(repository => repository.toLowerCase() === onlyRepository.toLowerCase())) continue;
+
+                const pullRequests = [];
+                for (const repository of block.repositories) {
+                    pullRequests.push(...await this.github.getOpenPullRequests(repository));
+                }
+
+                // Combined blocks merge all repositories, most recently updated first
+                if (block.repositories.length > 1) {
+                    pullRequests.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+                }
+
+                const pullRequestsByGroup = new Map(PULL_REQUEST_GROUPS.map(group => [group.key, []]));
+                for (const pullRequest of pullRequests) {
+                    const groupPullRequests = pullRequestsByGroup.get(this.getPullRequestGroup(pullRequest));
+                    if (groupPullRequests.length < serverData.settings.maxIssuesPerLabel) {
+                        groupPullRequests.push(pullRequest);
+                    }
+                }
+
+                for (const group of PULL_REQUEST_GROUPS) {
+                    await this.updatePullRequestEmbed(guildId, group, pullRequestsByGroup.get(group.key), block.repositories);
+                }
+            }
+
+        } catch (error) {
+            console.error(`❌ Error updating pull requests for ${guild.name}:`, error);
+            this.recordGuildError(guildId, error);
+        }
+    }
+
+    getPullRequestGroup(pullRequest) {
+        const matches = {
+            'draft': pullRequest.draft,
+            'failing checks': ['FAILURE', 'ERROR'].includes(pullRequest.check_state),
+            'changes requested': pullRequest.review_decision === 'CHANGES_REQUESTED',
+            'approved': pullRequest.review_decision === 'APPROVED',
+            // No review decision: the branch doesn't require reviews
+            'no review required': !pullRequest.review_decision,
+            'awaiting review': true
+        };
+        return PULL_REQUEST_GROUP_PRIORITY.find(key => matches[key]);
+    }
+
+    async updatePullRequestEmbed(guildId, group, pullRequests, repositories) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        const combined = repositories.length > 1;
+        const titleSuffix = !combined && serverData.settings.repositories.length > 1 ? ` · ${repositories[0]}` : '';
+        const messageKey = this.getMessageKey(serverData.settings, `pull-requests:${group.key}`, repositories);
+
+        const reviewText = {
+            APPROVED: '✅ approved',
+            CHANGES_REQUESTED: '✋ changes requested',
+            REVIEW_REQUIRED: '👀 review required'
+        };
+        const checkText = {
+            SUCCESS: '🟢 checks passing',
+            FAILURE: '🔴 checks failing',
+            ERROR: '🔴 checks errored',
+            PENDING: '🟡 checks running',
+            EXPECTED: '🟡 checks expected'
+        };
+
+        try {
+            const lines = pullRequests.map(pullRequest => {
+                const prefix = combined ? `\`${pullRequest.repository.split('/')[1]}\` ` : '';
+                const details = [
+                    `by ${pullRequest.author}`,
+                    reviewText[pullRequest.review_decision] || 'no review required',
+                    checkText[pullRequest.check_state] || 'no checks'
+                ].join(' · ');
+                return `${prefix}**[#${pullRequest.number}](${pullRequest.html_url})** ${pullRequest.title}\n└ ${details}`;
+            });
+
+            const pages = this.buildBoardPages({
+                title: `${group.emoji} ${group.title.toUpperCase()} Pull Requests${titleSuffix}`,
+                color: group.color,
+                url: this.getGitHubPullRequestUrl(repositories, group),
+                lines: lines,
+                itemName: 'pull request',
+                emptyText: '✅ No open pull requests in this state',
+                linkText: `View all ${group.title.toLowerCase()} pull requests on GitHub`
+            });
+
+            await this.upsertBoardMessage(guildId, messageKey, pages);
+
+        } catch (error) {
+            console.error(`❌ Error updating pull request embed '${group.key}' in guild ${guildId}:`, error);
+        }
+    }
+
+    async diffIssueSnapshot(guildId, issuesByRepository) {
+        const serverData = this.servers.get(guildId);
+        const snapshot = this.issueSnapshots.get(guildId) || { repositories: {} };
+        const changes = [];
+
+        for (const [repository, issues] of issuesByRepository) {
+            const block = this.getBoardBlocks(serverData).find(candidate => candidate.repositories.includes(repository));
+            const previous = snapshot.repositories[repository]?.issues;
+            const current = {};
+
+            // Moves caused by a group configuration change aren't issue activity
+            const groupRules = block.groups.map(group => `${group.key}: ${group.rule.expression}`);
+            const samePriority = snapshot.repositories[repository]?.groupRules?.join('\n') === groupRules.join('\n');
+
+            for (const issue of issues) {
+                const state = {
+                    title: issue.title,
+                    group: this.getIssueGroup(issue, block.groups),
+                    labels: issue.labels.map(label => label.name),
+                    comments: issue.comments
+                };
+                current[issue.number] = state;
+
+                // Repositories seen for the first time only establish the baseline
+                if (!previous) continue;
+
+                const before = previous[issue.number];
+                if (!before) {
+                    changes.push({ type: 'opened', repository, issue, group: state.group });
+                    continue;
+                }
+                if (before.group !== state.group && samePriority) {
+                    changes.push({ type: 'moved', repository, issue, from: before.group, to: state.group });
+                }
+                if (before.title !== state.title) {
+                    changes.push({ type: 'renamed', repository, issue, from: before.title });
+                }
+
+                // Finer-grained changes, only used for subscriber notifications
+                // (older snapshots don't have labels and comment counts yet)
+                if (before.labels) {
+                    const added = state.labels.filter(label => !before.labels.includes(label));
+                    const removed = before.labels.filter(label => !state.labels.includes(label));
+                    if (added.length > 0 || removed.length > 0) {
+                        changes.push({ type: 'relabeled', repository, issue, added, removed });
+                    }
+                }
+                if (before.comments !== undefined && state.comments > before.comments) {
+                    changes.push({ type: 'commented', repository, issue, count: state.comments - before.comments });
+                }
+            }
+
+            // Issues that are no longer open were closed (or transferred/deleted)
+            for (const [number, before] of Object.entries(previous || {})) {
+                if (current[number]) continue;
+
+                const closedIssue = await this.fetchClosedIssue(repository, Number(number));
+                if (closedIssue?.state === 'open') {
+                    // Still open, only missing from a stale list - keep it, or the next update reports it as opened
+                    current[number] = before;
+                    continue;
+                }
+
+                // Remember pending release issues that were closed, the next release ships them
+                if (this.isPendingRelease(serverData.settings, before.labels || [before.group]) &&
+                    !['not_planned', 'duplicate'].includes(closedIssue?.state_reason)) {
+                    snapshot.shipped = { ...snapshot.shipped };
+                    snapshot.shipped[repository] = [...(snapshot.shipped[repository] || []), { number: Number(number), title: before.title }];
+                }
+
+                changes.push({
+                    type: 'closed',
+                    repository,
+                    issue: closedIssue || { number: Number(number), title: before.title, html_url: `https://github.com/${repository}/issues/${number}` },
+                    group: before.group,
+                    stateReason: closedIssue?.state_reason || null
+                });
+            }
+
+            snapshot.repositories[repository] = { groupRules, issues: current };
+        }
+
+        // Forget repositories that are no longer tracked
+        for (const repository of Object.keys(snapshot.repositories)) {
+            if (!serverData.settings.repositories.includes(repository)) {
+                delete snapshot.repositories[repository];
+            }
+        }
+
+        await this.issueSnapshots.set(guildId, snapshot);
+        return changes;
+    }
+
+    async fetchClosedIssue(repository, number) {
+        try {
+            return await this.github.getCurrentIssue(repository, number);
+        } catch (error) {
+            // Deleted or transferred issues can't be fetched anymore
+            return null;
+        }
+    }
+
+    async postActivityEntries(guildId, allChanges) {
+        const serverData = this.servers.get(guildId);
+
+        // Comments and label changes that don't move an issue are too noisy for the log
+        const changes = allChanges.filter(change => ['opened', 'closed', 'moved', 'renamed'].includes(change.type));
+        if (!serverData || changes.length === 0 || serverData.settings.activityLog === 'off') return;
+
+        const guild = this.client.guilds.cache.get(guildId);
+
+        try {
+            const channel = await this.getActivityChannel(guildId);
+            if (!channel) {
+                console.log(`❌ No activity log channel available in ${guild.name}`);
+                return;
+            }
+
+            const groupName = group => group ? `\`${group}\`` : '*untracked*';
+            const repositoryPrefix = change => serverData.settings.repositories.length > 1 ? `${change.repository} ` : '';
+
+            const embeds = changes.map(change => {
+                const issueLink = `**[${repositoryPrefix(change)}#${change.issue.number}](${change.issue.html_url})** ${change.issue.title}`;
+                const embed = new EmbedBuilder().setTimestamp();
+
+                switch (change.type) {
+                    case 'opened':
+                        return embed
+                            .setColor(0x2ea043)
+                            .setDescription(`🆕 **Opened** ${issueLink}\nIn ${groupName(change.group)}`);
+
+                    case 'closed': {
+                        const reason = {
+                            completed: '✅ **Closed as completed**',
+                            not_planned: '🚫 **Closed as not planned**',
+                            duplicate: '♻️ **Closed as duplicate**'
+                        }[change.stateReason] || '✅ **Closed**';
+                        return embed
+                            .setColor(0x8250df)
+                            .setDescription(`${reason} ${issueLink}\nWas in ${groupName(change.group)}`);
+                    }
+
+                    case 'moved':
+                        return embed
+                            .setColor(0x0969da)
+                            .setDescription(`🔀 **Moved** ${issueLink}\n${groupName(change.from)} → ${groupName(change.to)}`);
+
+                    case 'renamed':
+                        return embed
+                            .setColor(0x666666)
+                            .setDescription(`✏️ **Renamed** ${issueLink}\nWas: ${change.from}`);
+                }
+            });
+
+            // Discord allows up to 10 embeds per message
+            for (let i = 0; i < embeds.length; i += 10) {
+                await channel.send({ embeds: embeds.slice(i, i + 10) });
+            }
+
+            console.log(`📰 Posted ${changes.length} activity entries in ${guild.name}`);
+
+        } catch (error) {
+            console.error(`❌ Error posting activity entries in ${guild.name}:`, error);
+        }
+    }
+
+    async getActivityChannel(guildId) {
+        const serverData = this.servers.get(guildId);
+        const { settings } = serverData;
+
+        if (settings.activityLog === 'channel') {
+            return this.client.guilds.cache.get(guildId).channels.cache.get(settings.activityChannelId) || null;
+        }
+
+        // Thread mode: reuse the thread under the board, unarchiving it if needed
+        const snapshot = this.issueSnapshots.get(guildId) || { repositories: {} };
+        if (snapshot.activityThreadId) {
+            try {
+                const thread = await serverData.issuesChannel.threads.fetch(snapshot.activityThreadId);
+                if (thread) {
+                    if (thread.archived) await thread.setArchived(false);
+                    return thread;
+                }
+            } catch (error) {
+                // Thread was deleted, create a new one
+            }
+        }
+
+        // Posts in forum channels need a first message
+        const thread = await serverData.issuesChannel.threads.create({
+            name: '📰 Issue activity',
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+            reason: 'Issue activity log',
+            ...(this.isForumBoard(serverData) ? { message: { content: '📰 Changes to the tracked issues are logged here.' } } : {})
+        });
+
+        snapshot.activityThreadId = thread.id;
+        await this.issueSnapshots.set(guildId, snapshot);
+        return thread;
+    }
+
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    describeDigestSchedule(settings) {
+        if (settings.digestSchedule === 'off') return 'Off';
+
+        const day = settings.digestSchedule === 'weekly'
+            ? `${settings.digestDay[0].toUpperCase()}${settings.digestDay.slice(1)}s`
+            : 'Daily';
+        const channel = settings.digestChannelId ? ` in <#${settings.digestChannelId}>` : '';
+        return `${day} at ${settings.digestTime} (${settings.digestTimezone})${channel}, stale after ${settings.staleDays} days`;
+    }
+
+    createDigestPeriod() {
+        return { since: new Date().toISOString(), opened: [], closed: [], pendingRelease: [] };
+    }
+
+    getDigestSlot(settings, now = new Date()) {
+        // Local date of the most recent scheduled digest time, in the server's time zone
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: settings.digestTimezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(now).map(part => [part.type, part.value]));
+
+        const [hour, minute] = settings.digestTime.split(':').map(Number);
+        const beforeTime = Number(parts.hour) * 60 + Number(parts.minute) < hour * 60 + minute;
+
+        let daysBack = beforeTime ? 1 : 0;
+        if (settings.digestSchedule === 'weekly') {
+            const today = DIGEST_WEEKDAYS.findIndex(day => day.startsWith(parts.weekday.toLowerCase()));
+            daysBack = (today - DIGEST_WEEKDAYS.indexOf(settings.digestDay) + 7) % 7;
+            if (daysBack === 0 && beforeTime) daysBack = 7;
+        }
+
+        return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) - daysBack))
+            .toISOString()
+            .substring(0, 10);
+    }
+
+    async recordDigestChanges(guildId, changes) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData || serverData.settings.digestSchedule === 'off') return;
+
+        const toEntry = change => ({
+            repository: change.repository,
+            number: change.issue.number,
+            title: change.issue.title,
+            url: change.issue.html_url
+        });
+
+        const opened = changes.filter(change => change.type === 'opened').map(toEntry);
+        const closed = changes.filter(change => change.type === 'closed').map(change => ({ ...toEntry(change), stateReason: change.stateReason }));
+        const pendingRelease = changes
+            .filter(change => change.type === 'relabeled' && this.isPendingRelease(serverData.settings, change.added))
+            .map(toEntry);
+
+        if (opened.length + closed.length + pendingRelease.length === 0) return;
+
+        const digest = { ...this.createDigestPeriod(), ...this.digests.get(guildId) };
+        await this.digests.set(guildId, {
+            ...digest,
+            opened: [...digest.opened, ...opened],
+            closed: [...digest.closed, ...closed],
+            pendingRelease: [...digest.pendingRelease, ...pendingRelease]
+        });
+    }
+
+    async checkDigests() {
+        for (const [guildId, serverData] of this.servers) {
+            // Digests need the issues of at least one update
+            if (serverData.settings.digestSchedule === 'off' || serverData.latestIssues.size === 0) continue;
+
+            try {
+                const slot = this.getDigestSlot(serverData.settings);
+                const digest = this.digests.get(guildId);
+
+                // Servers without a digest yet start counting from now
+                if (!digest?.lastSlot) {
+                    await this.digests.set(guildId, { ...this.createDigestPeriod(), ...digest, lastSlot: slot });
+                    continue;
+                }
+
+                if (digest.lastSlot !== slot) {
+                    await this.postDigest(guildId, slot);
+                }
+            } catch (error) {
+                console.error(`❌ Error posting digest in ${this.client.guilds.cache.get(guildId)?.name}:`, error);
+                this.recordGuildError(guildId, error);
+            }
+        }
+    }
+
+    async postDigest(guildId, slot) {
+        const serverData = this.servers.get(guildId);
+        const guild = this.client.guilds.cache.get(guildId);
+        const { settings } = serverData;
+        const digest = { ...this.createDigestPeriod(), ...this.digests.get(guildId) };
+
+        // The slot is marked first, so a broken channel doesn't repeat the digest every minute
+        await this.digests.set(guildId, { ...digest, lastSlot: slot });
+
+        const pages = this.buildDigestPages(serverData, digest);
+        let channel = (settings.digestChannelId && guild.channels.cache.get(settings.digestChannelId)) ||
+            serverData.issuesChannel;
+
+        // Forum channels get a post of its own for every digest
+        if (channel.type === ChannelType.GuildForum) {
+            channel = await channel.threads.create({
+                name: `${pages[0].data.title} · ${slot}`,
+                message: { content: `📋 Issue digest for ${settings.repositories.join(', ')}` }
+            });
+        }
+
+        for (const page of pages) {
+            await channel.send({ embeds: [page] });
+        }
+
+        await this.digests.set(guildId, { ...this.createDigestPeriod(), lastSlot: slot });
+        console.log(`📋 Posted ${settings.digestSchedule} digest in ${guild.name}`);
+    }
+
+    buildDigestPages(serverData, digest) {
+        const { settings } = serverData;
+        const multiRepository = settings.repositories.length > 1;
+        const toTimestamp = date => `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>`;
+
+        const formatEntry = entry => (multiRepository ? `\`${entry.repository.split('/')[1]}\` ` : '') +
+            `**[#${entry.number}](${entry.url})** ${entry.title}`;
+        const toEntry = (repository, issue) => ({ repository, number: issue.number, title: issue.title, url: issue.html_url, issue });
+
+        // Long sections are cut short, the digest is a summary and not the board
+        const limit = (entries, format) => [
+            ...entries.slice(0, config.DIGEST_SECTION_LIMIT).map(format),
+            ...(entries.length > config.DIGEST_SECTION_LIMIT ? [`*...and ${entries.length - config.DIGEST_SECTION_LIMIT} more*`] : [])
+        ];
+        const section = (heading, entries, format = formatEntry) => entries.length > 0
+            ? [`**${heading} (${entries.length})**`, ...limit(entries, format), '']
+            : [];
+
+        const openIssues = Array.from(serverData.latestIssues)
+            .flatMap(([repository, issues]) => issues.map(issue => toEntry(repository, issue)));
+
+        const mostWanted = openIssues
+            .filter(entry => (entry.issue.reactions?.['+1'] ?? 0) > 0)
+            .sort((a, b) => b.issue.reactions['+1'] - a.issue.reactions['+1'])
+            .slice(0, config.DIGEST_TOP_ISSUES);
+
+        // Stale issues by board group, in priority order, longest untouched first
+        const staleBefore = Date.now() - settings.staleDays * 24 * 60 * 60 * 1000;
+        const staleLines = [];
+        let staleCount = 0;
+        for (const group of serverData.groups) {
+            const staleIssues = openIssues
+                .filter(entry => new Date(entry.issue.updated_at).getTime() < staleBefore &&
+                    this.getIssueGroup(entry.issue, serverData.groups) === group.key)
+                .sort((a, b) => new Date(a.issue.updated_at) - new Date(b.issue.updated_at));
+            if (staleIssues.length === 0) continue;
+
+            staleCount += staleIssues.length;
+            staleLines.push(`__${group.emoji} ${group.title}__`,
+                ...limit(staleIssues, entry => `${formatEntry(entry)} · ${toTimestamp(entry.issue.updated_at)}`));
+        }
+
+        const lines = [
+            ...section('🆕 Opened', digest.opened),
+            ...section('✅ Closed', digest.closed, entry => formatEntry(entry) + (entry.stateReason === 'not_planned' ? ' · not planned' : '')),
+            ...section(`🚀 Moved to ${settings.pendingReleaseLabel}`, digest.pendingRelease),
+            ...section('👍 Most Wanted', mostWanted, entry => `${formatEntry(entry)} · 👍 ${entry.issue.reactions['+1']}`),
+            ...(staleCount > 0 ? [`**💤 Stale - no activity for ${settings.staleDays} days (${staleCount})**`, ...staleLines] : [])
+        ];
+
+        const pages = this.buildBoardPages({
+            title: `📋 ${settings.digestSchedule === 'weekly' ? 'Weekly' : 'Daily'} Digest`,
+            color: 0x0969da,
+            url: multiRepository ? 'https://github.com/issues' : `https://github.com/${settings.repositories[0]}/issues`,
+            lines: [`Since ${toTimestamp(digest.since)}`, '', ...(lines.length > 0 ? lines : ['Nothing to report - no issues were opened, closed or went stale.'])],
+            itemName: 'line',
+            emptyText: '',
+            linkText: 'View all issues on GitHub'
+        });
+
+        // Long digests continue in follow-up messages
+        // (without the board footer, so board cleanup keeps digests posted to the issues channel)
+        return pages.map((page, index) => page
+            .setAuthor({ name: settings.repositories.join(', ').substring(0, 256) })
+            .setFooter({ text: `Issue digest${pages.length > 1 ? ` • Part ${index + 1}/${pages.length}` : ''}` }));
+    }
+
+    sortIssues(issues, sortOrder) {
+        const sortValue = {
+            updated: issue => new Date(issue.updated_at).getTime(),
+            created: issue => new Date(issue.created_at).getTime(),
+            reactions: issue => issue.reactions?.['+1'] ?? 0,
+            comments: issue => issue.comments ?? 0
+        }[sortOrder] || (issue => new Date(issue.updated_at).getTime());
+
+        // Highest first, ties broken by most recently updated
+        return [...issues].sort((a, b) =>
+            sortValue(b) - sortValue(a) || new Date(b.updated_at) - new Date(a.updated_at)
+        );
+    }
+
+    renderIssueLine(issue, template, groupLabel) {
+        // Secondary labels: all but the label of the group the issue is shown in
+        const otherLabels = issue.labels
+            .map(label => label.name)
+            .filter(name => name.toLowerCase() !== groupLabel?.toLowerCase());
+
+        const values = {
+            number: issue.number,
+            title: issue.title,
+            url: issue.html_url,
+            repository: this.getIssueRepository(issue),
+            author: issue.user?.login ?? 'ghost',
+            assignees: issue.assignees?.length ? issue.assignees.map(assignee => assignee.login).join(', ') : 'unassigned',
+            created: this.getTimeAgo(new Date(issue.created_at)),
+            updated: this.getTimeAgo(new Date(issue.updated_at)),
+            comments: issue.comments ?? 0,
+            reactions: issue.reactions?.['+1'] ?? 0,
+            labels: otherLabels.join(', ')
+        };
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+        );
+    }
+
+    groupIssuesByLabel(issues, groups, maxIssuesPerLabel, multiGroup) {
+        // Group issues by their group key
+        const issuesByGroup = new Map();
+
+        // Initialize with all groups
+        for (const group of groups) {
+            issuesByGroup.set(group.key, []);
+        }
+
+        // Categorize issues using priority-based assignment, or into every matching group
+        issues.forEach(issue => {
+            const matching = multiGroup
+                ? groups.filter(group => group.rule.matches(issue)).map(group => group.key)
+                : [this.getIssueGroup(issue, groups)].filter(Boolean);
+
+            for (const key of matching) {
+                const groupIssues = issuesByGroup.get(key);
+                if (groupIssues.length < maxIssuesPerLabel) {
+                    groupIssues.push(issue);
+                }
+            }
+        });
+
+        return issuesByGroup;
+    }
+
+    getIssueGroup(issue, groups) {
+        // The first group in priority order whose rule matches
+        return groups.find(group => group.rule.matches(issue))?.key ?? null;
+    }
+
+    async updateLabelEmbed(guildId, group, issues, repositories) {
+        const serverData = this.servers.get(guildId);
+        if (!serverData) return;
+
+        // Combined embeds cover several repositories, separate blocks get the repository in the title
+        const combined = repositories.length > 1;
+        const titleSuffix = !combined && serverData.settings.repositories.length > 1 ? ` · ${repositories[0]}` : '';
+        const messageKey = this.getMessageKey(serverData.settings, group.key, repositories);
+
+        try {
+            const lines = issues.map(issue => {
+                // Prefix each line with the repository name when several repositories share an embed
+                const prefix = combined ? `\`${this.getIssueRepository(issue).split('/')[1]}\` ` : '';
+                return prefix + this.renderIssueLine(issue, serverData.settings.lineTemplate, group.label);
+            });
+
+            const pages = this.buildBoardPages({
+                title: `${group.emoji} ${group.title}${titleSuffix}`,
+                color: group.color,
+                url: this.getGitHubGroupUrl(repositories, group), // GitHub link for this group
+                lines: lines,
+                itemName: 'issue',
+                emptyText: group.label ? '✅ No open issues with this label' : '✅ No open issues in this group',
+                linkText: group.label ? `View all ${group.label} issues on GitHub` : 'View these issues on GitHub'
+            });
+
+            await this.upsertBoardMessage(guildId, messageKey, pages);
+
+        } catch (error) {
+            console.error(`❌ Error updating embed for group '${group.key}' in guild ${guildId}:`, error);
+        }
+    }
+
+    buildBoardPages({ title, color, url, lines, itemName, emptyText, linkText }) {
+        const githubLink = `\n\n🔗 [${linkText}](${url})`;
+
+        // Split the lines into pages that fit Discord's 4096 character description limit
+        const availableSpace = 4096 - githubLink.length;
+        const pageDescriptions = [];
+        let current = [];
+        let currentLength = 0;
+
+        for (let line of lines) {
+            // A single line that doesn't fit anywhere is cut short
+            if (line.length > availableSpace) {
+                line = `${line.substring(0, availableSpace - 3)}...`;
+            }
+
+            const addedLength = (current.length > 0 ? 1 : 0) + line.length; // 1 char for "\n"
+            if (current.length > 0 && currentLength + addedLength > availableSpace) {
+                pageDescriptions.push(current.join('\n'));
+                current = [];
+                currentLength = 0;
+            }
+
+            currentLength += (current.length > 0 ? 1 : 0) + line.length;
+            current.push(line);
+        }
+        pageDescriptions.push(current.length > 0 ? current.join('\n') : emptyText);
+
+        return pageDescriptions.map((description, index) => new EmbedBuilder()
+            .setTitle(title)
+            .setColor(color)
+            .setURL(url)
+            .setTimestamp()
+            .setDescription(description + githubLink)
+            .setFooter({
+                text: `${BOARD_FOOTER} • ${lines.length} ${itemName}${lines.length !== 1 ? 's' : ''}` +
+                    (pageDescriptions.length > 1 ? ` • Page ${index + 1}/${pageDescriptions.length}` : '')
+            })
+        );
+    }
+
+    async upsertBoardMessage(guildId, messageKey, pages) {
+        const serverData = this.servers.get(guildId);
+        const split = serverData.settings.overflowMode === 'split';
+
+        if (split) {
+            // Split layout: one message per page, continuation messages get their own keys
+            for (const [index, page] of pages.entries()) {
+                const pageKey = index === 0 ? messageKey : `${messageKey}#page${index + 1}`;
+
+                // New messages go to the bottom of the channel - below later board embeds the board is rebuilt instead
+                const previousId = index > 0 && serverData.messageIds.get(index === 1 ? messageKey : `${messageKey}#page${index}`);
+                if (previousId && !serverData.messageIds.has(pageKey) &&
+                    Array.from(serverData.messageIds.values()).some(messageId => BigInt(messageId) > BigInt(previousId))) {
+                    serverData.rebuildPending = true;
+                    break;
+                }
+
+                await this.upsertMessage(guildId, pageKey, { embeds: [page], components: [] });
+            }
+        } else {
+            // Paginated layout: one message, buttons flip through the cached pages (keeping the page being viewed)
+            const previous = serverData.boardPages.get(messageKey);
+            const view = { pages, page: Math.min(previous?.page ?? 0, pages.length - 1) };
+            serverData.boardPages.set(messageKey, view);
+            await this.upsertMessage(guildId, messageKey, this.renderBoardPage(view));
+        }
+
+        // Remove continuation messages that are no longer needed
+        const pagesInUse = split ? pages.length : 1;
+        for (const [key, messageId] of serverData.messageIds) {
+            const match = key.match(/^(.*)#page(\d+)$/);
+            if (match && match[1] === messageKey && Number(match[2]) > pagesInUse) {
+                await this.deleteBoardMessage(serverData, messageId);
+                serverData.messageIds.delete(key);
+                await this.saveMessageIds(guildId);
+            }
+        }
+    }
+
+    renderBoardPage(view) {
+        if (view.pages.length <= 1) {
+            return { embeds: [view.pages[0]], components: [] };
+        }
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('board-page:previous')
+                .setEmoji('◀️')
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(view.page === 0),
+            new ButtonBuilder()
+                .setCustomId('board-page:indicator')
+                .setLabel(`Page ${view.page + 1}/${view.pages.length}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(true),
+            new ButtonBuilder()
+                .setCustomId('board-page:next')
+                .setEmoji('▶️')
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(view.page === view.pages.length - 1)
+        );
+
+        return { embeds: [view.pages[view.page]], components: [buttons] };
+    }
+
+    async handleBoardPageButton(interaction) {
+        const serverData = this.servers.get(interaction.guild.id);
+
+        // Find the board embed this button belongs to, pages are served from the last update (no GitHub calls)
+        const messageKey = serverData && Array.from(serverData.messageIds.entries())
+            .find(([, messageId]) => messageId === interaction.message.id)?.[0];
+        const view = messageKey && serverData.boardPages.get(messageKey);
+
+        if (!view) {
+            await interaction.reply({ content: '⏳ This board is being refreshed, please try again in a moment.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const direction = interaction.customId === 'board-page:next' ? 1 : -1;
+        view.page = Math.max(0, Math.min(view.pages.length - 1, view.page + direction));
+
+        await interaction.update(this.renderBoardPage(view));
+    }
+
+    async upsertMessage(guildId, messageKey, payload) {
+        const serverData = this.servers.get(guildId);
+
+        // Check if we have an existing message for this key
+        const existingMessageId = serverData.messageIds.get(messageKey);
+
+        if (existingMessageId) {
+            try {
+                // Try to update existing message
+                const existingMessage = await serverData.issuesChannel.messages.fetch(existingMessageId);
+                await existingMessage.edit(payload);
+                this.metrics.inc('discord_messages_total', { action: 'edit' });
+                return;
+            } catch (error) {
+                // Message was deleted, create a new one below
+            }
+        }
+
+        // Create new message
+        const newMessage = await serverData.issuesChannel.send(payload);
+        this.metrics.inc('discord_messages_total', { action: 'send' });
+        serverData.messageIds.set(messageKey, newMessage.id);
+        await this.saveMessageIds(guildId);
+    }
+
+    getMessageKey(settings, label, repositories) {
+        // Separate blocks for several repositories need one message per repository and label
+        if (settings.repositories.length > 1 && repositories.length === 1) {
+            return `${repositories[0]}:${label}`;
+        }
+        return label;
+    }
+
+    getIssueRepository(issue) {
+        // repository_url looks like https://api.github.com/repos/owner/name
+        return issue.repository_url.split('/').slice(-2).join('/');
+    }
+
+    getGitHubGroupUrl(repositories, group) {
+        // A single repository links to its issue list, several repositories use GitHub's global search
+        const baseUrl = repositories.length === 1
+            ? `https://github.com/${repositories[0]}/issues`
+            : 'https://github.com/issues';
+        const repoFilter = repositories.length === 1
+            ? ''
+            : repositories.map(repository => `+repo%3A${encodeURIComponent(repository)}`).join('');
+
+        // Rules GitHub search can't express (OR, wildcards) link to all open issues
+        const groupQuery = group.rule.toSearchQuery();
+        const groupFilter = groupQuery ? `+${encodeURIComponent(groupQuery).replace(/%20/g, '+')}` : '';
+
+        return `${baseUrl}?q=is%3Aopen+is%3Aissue${groupFilter}${repoFilter}`;
+    }
+
+    getGitHubPullRequestUrl(repositories, group) {
+        // Same as label URLs: repository PR list for one repository, global search for several
+        if (repositories.length === 1) {
+            return `https://github.com/${repositories[0]}/pulls?q=is%3Aopen+is%3Apr+${group.query}`;
+        }
+        const repoFilter = repositories.map(repository => `+repo%3A${encodeURIComponent(repository)}`).join('');
+        return `https://github.com/pulls?q=is%3Aopen+is%3Apr+${group.query}${repoFilter}`;
+    }
+
+    getLabelColor(label) {
+        // GitHub label colors are hex strings without '#'
+        return label?.color ? parseInt(label.color, 16) : DEFAULT_GROUP_COLOR;
+    }
+
+    getTimeAgo(date) {
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+        const diffHours = Math.floor(diffMs / 3600000);
+        const diffDays = Math.floor(diffMs / 86400000);
+
+        if (diffMins < 60) return `${diffMins}m ago`;
+        if (diffHours < 24) return `${diffHours}h ago`;
+        if (diffDays < 60) return `${diffDays}d ago`;
+        if (diffDays < 365) return `${Math.floor(diffDays / 30)}mo ago`;
+        return `${Math.floor(diffDays / 365)}y ago`;
+    }
+}
+
+export { config };
+export default MultiServerGitHubIssuesBot;
@@ -0,0 +1,404 @@
+import { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, PermissionFlagsBits, ChannelType } from 'discord.js';
+
+// Board command picker shared by the /tracker permissions subcommands
+const commandOption = option => option
+    .setName('command')
+    .setDescription('Board command (slash command and its ! alias)')
+    .setRequired(true)
+    .addChoices(
+        { name: 'refresh-issues', value: 'refresh-issues' },
+        { name: 'refresh-labels', value: 'refresh-labels' },
+        { name: 'rebuild', value: 'rebuild' },
+        { name: 'status', value: 'status' }
+    );
+
+// Slash command definitions, registered globally when the bot starts
+const commands = [
+    new SlashCommandBuilder()
+        .setName('tracker')
+        .setDescription('Manage the GitHub issue tracker for this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommandGroup(group => group
+            .setName('config')
+            .setDescription('View or change the tracker configuration')
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the current configuration'))
+            .addSubcommand(subcommand => subcommand
+                .setName('repositories')
+                .setDescription('Set the GitHub repositories to track')
+                .addStringOption(option => option
+                    .setName('repositories')
+                    .setDescription('Comma-separated repositories in owner/name format')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('layout')
+                .setDescription('Choose how several repositories are shown')
+                .addStringOption(option => option
+                    .setName('layout')
+                    .setDescription('Separate blocks of embeds per repository, or combined embeds')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Separate blocks per repository', value: 'separate' },
+                        { name: 'Combined embeds', value: 'combined' }
+                    )))
+            .addSubcommand(subcommand => subcommand
+                .setName('channel')
+                .setDescription('Set the channel where issue embeds are posted')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Text channel for the issue board, or forum channel for one post per issue')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildForum)
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('max-issues')
+                .setDescription('Set the maximum number of issues shown per label')
+                .addIntegerOption(option => option
+                    .setName('count')
+                    .setDescription('Maximum issues per label embed')
+                    .setMinValue(1)
+                    .setMaxValue(100)
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('line-template')
+                .setDescription('Set how each issue line is shown (empty = default)')
+                .addStringOption(option => option
+                    .setName('template')
+                    .setDescription('e.g. **[#{number}]({url})** {title} · {assignees} · {updated} · 👍 {reactions}')
+                    .setMaxLength(300)))
+            .addSubcommand(subcommand => subcommand
+                .setName('sort')
+                .setDescription('Set the order of issues inside each embed')
+                .addStringOption(option => option
+                    .setName('order')
+                    .setDescription('Sort order')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Recently updated', value: 'updated' },
+                        { name: 'Newest', value: 'created' },
+                        { name: 'Most 👍 reactions', value: 'reactions' },
+                        { name: 'Most comments', value: 'comments' }
+                    )))
+            .addSubcommand(subcommand => subcommand
+                .setName('overflow')
+                .setDescription('Choose how embeds with more issues than fit in one embed are shown')
+                .addStringOption(option => option
+                    .setName('mode')
+                    .setDescription('Layout for long embeds')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Pages with Previous/Next buttons', value: 'paginate' },
+                        { name: 'Split across several messages', value: 'split' }
+                    )))
+            .addSubcommand(subcommand => subcommand
+                .setName('pull-requests')
+                .setDescription('Show a board of open pull requests grouped by review and CI state')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Whether to show the pull request board (requires a GitHub token)')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('milestones')
+                .setDescription('Show a board of open milestones with their progress')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Whether to show the milestone board')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('releases')
+                .setDescription('Announce published GitHub releases with the issues they shipped')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Whether to post release announcements')
+                    .setRequired(true))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Announcement channel (default: the issues channel)')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+                .addStringOption(option => option
+                    .setName('pending-label')
+                    .setDescription('Label of issues waiting for a release (default: "pending release")')))
+            .addSubcommand(subcommand => subcommand
+                .setName('digest')
+                .setDescription('Post a digest of opened, closed and stale issues on a schedule')
+                .addStringOption(option => option
+                    .setName('schedule')
+                    .setDescription('How often to post the digest')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Off', value: 'off' },
+                        { name: 'Daily', value: 'daily' },
+                        { name: 'Weekly', value: 'weekly' }
+                    ))
+                .addStringOption(option => option
+                    .setName('time')
+                    .setDescription('Time of day in 24-hour format, e.g. 09:00 (default: 09:00)'))
+                .addStringOption(option => option
+                    .setName('day')
+                    .setDescription('Day of weekly digests (default: Monday)')
+                    .addChoices(
+                        { name: 'Monday', value: 'monday' },
+                        { name: 'Tuesday', value: 'tuesday' },
+                        { name: 'Wednesday', value: 'wednesday' },
+                        { name: 'Thursday', value: 'thursday' },
+                        { name: 'Friday', value: 'friday' },
+                        { name: 'Saturday', value: 'saturday' },
+                        { name: 'Sunday', value: 'sunday' }
+                    ))
+                .addStringOption(option => option
+                    .setName('timezone')
+                    .setDescription('IANA time zone, e.g. Europe/Berlin or America/New_York (default: UTC)'))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Digest channel (default: the issues channel)')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+                .addIntegerOption(option => option
+                    .setName('stale-days')
+                    .setDescription('Issues without activity for this many days are listed as stale (default: 30)')
+                    .setMinValue(1)
+                    .setMaxValue(365)))
+            .addSubcommand(subcommand => subcommand
+                .setName('activity-log')
+                .setDescription('Post opened, closed, moved and renamed issues to a log')
+                .addStringOption(option => option
+                    .setName('mode')
+                    .setDescription('Where activity entries are posted')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Off', value: 'off' },
+                        { name: 'Log channel', value: 'channel' },
+                        { name: 'Thread under the board', value: 'thread' }
+                    ))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Log channel (required for the "Log channel" mode)')
+                    .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand => subcommand
+                .setName('issue-role')
+                .setDescription('Set the role allowed to create GitHub issues from Discord (empty = admins only)')
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role allowed to use /issue create and "Report as GitHub issue"')))
+            .addSubcommand(subcommand => subcommand
+                .setName('cooldown')
+                .setDescription('Set how long members wait between refresh and rebuild commands')
+                .addIntegerOption(option => option
+                    .setName('seconds')
+                    .setDescription('Cooldown per member in seconds (0 = none)')
+                    .setMinValue(0)
+                    .setMaxValue(3600)
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('audit-log')
+                .setDescription('Mirror the command audit log to a mod-log channel (empty = off)')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Mod-log channel')
+                    .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand => subcommand
+                .setName('unfurl')
+                .setDescription('Reply to #1234 and GitHub issue links with a summary of the issue')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Whether to unfurl issue references')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('channels')
+                    .setDescription('Channels to unfurl in, e.g. "#general #help" (empty = every channel)')))
+            .addSubcommand(subcommand => subcommand
+                .setName('forum')
+                .setDescription('Choose who can reply to GitHub from the issue posts of a forum channel')
+                .addRoleOption(option => option
+                    .setName('reply-role')
+                    .setDescription('Members with this role have their post replies added as GitHub comments (empty = nobody)')))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Reset this server to the default configuration')))
+        .addSubcommandGroup(group => group
+            .setName('groups')
+            .setDescription('Choose how issues are grouped into board embeds')
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('Show the groups and their rules, in priority order'))
+            .addSubcommand(subcommand => subcommand
+                .setName('add')
+                .setDescription('Add a group, or change the group with the same name')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Group name ("*" = one group per label matching the rule)')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('rule')
+                    .setDescription('Rule, e.g. "bug AND NOT wontfix", "label:priority-* OR milestone:next" or "assignee:none"')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('title')
+                    .setDescription('Embed title (default: "<NAME> Issues")'))
+                .addStringOption(option => option
+                    .setName('emoji')
+                    .setDescription('Emoji in front of the title (default: 🏷️)'))
+                .addStringOption(option => option
+                    .setName('color')
+                    .setDescription('Embed color as hex, e.g. #d73a4a (default: the GitHub label color)'))
+                .addIntegerOption(option => option
+                    .setName('position')
+                    .setDescription('Priority position, 1 = first (default: last, or unchanged)')
+                    .setMinValue(1)))
+            .addSubcommand(subcommand => subcommand
+                .setName('remove')
+                .setDescription('Remove a group')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Group name')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('multi')
+                .setDescription('Show issues in every group they match instead of only the first')
+                .addBooleanOption(option => option
+                    .setName('enabled')
+                    .setDescription('Whether issues can be in several groups')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Go back to the default groups')))
+        .addSubcommandGroup(group => group
+            .setName('permissions')
+            .setDescription('Choose who can run the board commands')
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show who can run each command'))
+            .addSubcommand(subcommand => subcommand
+                .setName('allow')
+                .setDescription('Allow a role or user to run a command')
+                .addStringOption(commandOption)
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role to allow'))
+                .addUserOption(option => option
+                    .setName('user')
+                    .setDescription('User to allow')))
+            .addSubcommand(subcommand => subcommand
+                .setName('revoke')
+                .setDescription('Take a command away from a role or user')
+                .addStringOption(commandOption)
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role to revoke'))
+                .addUserOption(option => option
+                    .setName('user')
+                    .setDescription('User to revoke')))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Go back to the default permissions of a command')
+                .addStringOption(commandOption))),
+
+    // Board commands are visible to everyone, access is checked per server (see /tracker permissions)
+    new SlashCommandBuilder()
+        .setName('board')
+        .setDescription('Refresh, rebuild or check the issue board')
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('refresh')
+            .setDescription('Fetch issues (and labels) from GitHub now - same as !refresh-issues and !refresh-labels')
+            .addStringOption(option => option
+                .setName('what')
+                .setDescription('What to refresh (default: issues)')
+                .addChoices(
+                    { name: 'Issues', value: 'issues' },
+                    { name: 'Labels and issues', value: 'labels' }
+                )))
+        .addSubcommand(subcommand => subcommand
+            .setName('rebuild')
+            .setDescription('Delete every board embed and post the board again - same as !rebuild'))
+        .addSubcommand(subcommand => subcommand
+            .setName('status')
+            .setDescription('Show the bot status - same as !status')),
+
+    new SlashCommandBuilder()
+        .setName('issue')
+        .setDescription('Work with GitHub issues')
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('create')
+            .setDescription('Create a new GitHub issue'))
+        .addSubcommand(subcommand => subcommand
+            .setName('view')
+            .setDescription('Show the details of an issue')
+            .addIntegerOption(option => option
+                .setName('number')
+                .setDescription('Issue number')
+                .setMinValue(1)
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('repository')
+                .setDescription('Repository (default: the first tracked repository)')
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('search')
+            .setDescription('Search the issues of the tracked repositories')
+            .addStringOption(option => option
+                .setName('query')
+                .setDescription('Words to search for (GitHub search syntax)')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('label')
+                .setDescription('Only issues with this label')
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('state')
+                .setDescription('Issue state (default: open)')
+                .addChoices(
+                    { name: 'Open', value: 'open' },
+                    { name: 'Closed', value: 'closed' },
+                    { name: 'All', value: 'all' }
+                ))),
+
+    new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Get a DM when an issue or label changes (run again to unsubscribe)')
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('issue')
+            .setDescription('Get a DM when an issue is commented on, relabeled or closed')
+            .addIntegerOption(option => option
+                .setName('number')
+                .setDescription('Issue number')
+                .setMinValue(1)
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('repository')
+                .setDescription('Repository in owner/name format (default: the first tracked repository)')
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('label')
+            .setDescription('Get a DM when an issue gets a label')
+            .addStringOption(option => option
+                .setName('label')
+                .setDescription('Label name')
+                .setRequired(true)
+                .setAutocomplete(true))),
+
+    new SlashCommandBuilder()
+        .setName('subscriptions')
+        .setDescription('List and remove your issue and label subscriptions')
+        .setDMPermission(false),
+
+    new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Show who ran which bot command and when')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Only show commands run by this member')),
+
+    new ContextMenuCommandBuilder()
+        .setName('Report as GitHub issue')
+        .setType(ApplicationCommandType.Message)
+        .setDMPermission(false)
+];
+
+export default commands;
@@ -0,0 +1,37 @@
+// Renders the issue board offline and prints the exact message payloads the bot would send to Discord
+//
+//   node dry-run.mjs <fixture.json>                   issues and labels from the fixture
+//   node dry-run.mjs <fixture.json> --github <url>    issues and labels from a GitHub API (mock) server
+//
+// The fixture has the server settings to try and the repositories (see github-fixture.mjs):
+// { "settings": { "groups": [...], "lineTemplate": "..." }, "repositories": { "owner/repo": { "labels": [...], "issues": [...] } } }
+// Payloads are printed to stdout as JSON, log messages go to stderr.
+import fs from 'fs/promises';
+
+const args = process.argv.slice(2);
+const githubIndex = args.indexOf('--github');
+const githubUrl = githubIndex !== -1 ? args.splice(githubIndex, 2)[1] : null;
+const [fixturePath] = args;
+
+if (!fixturePath || (githubIndex !== -1 && !githubUrl)) {
+    console.error('Usage: node dry-run.mjs <fixture.json> [--github <api-url>]');
+    process.exit(1);
+}
+
+// Keep stdout for the payloads
+console.log = console.error;
+
+// The GitHub API URL is read when the bot module loads
+if (githubUrl) process.env.GITHUB_API_URL = githubUrl;
+const { renderFixtureBoard } = await import('./fixture-board.mjs');
+
+try {
+    const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    // null keeps the bot's own GitHub client, pointed at the --github server
+    const sent = await renderFixtureBoard(fixture, githubUrl ? { github: null } : {});
+
+    process.stdout.write(`${JSON.stringify(sent, null, 2)}\n`);
+} catch (error) {
+    console.error('❌ Dry run failed:', error);
+    process.exitCode = 1;
+}
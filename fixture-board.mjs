@@ -0,0 +1,70 @@
+// Renders the issue board of a fixture (see dry-run.mjs) without Discord, for dry runs and tests
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ChannelType } from 'discord.js';
+import MultiServerGitHubIssuesBot from './bot.mjs';
+import FixtureGitHub from './github-fixture.mjs';
+
+const GUILD_ID = 'dry-run';
+
+// Discord adapter: one server whose issues channel records what it's sent
+function createFakeClient() {
+    const sent = [];
+    const channel = {
+        id: 'dry-run-channel',
+        name: 'github-issues',
+        type: ChannelType.GuildText,
+        messages: {
+            fetch: async () => {
+                throw new Error('Dry runs have no earlier messages');
+            }
+        },
+        send: async payload => {
+            sent.push(payload);
+            return { id: String(sent.length) };
+        }
+    };
+    const guild = { id: GUILD_ID, name: 'Dry run', channels: { cache: new Map([[channel.id, channel]]) } };
+    const client = { guilds: { cache: new Map([[GUILD_ID, guild]]) }, user: { id: 'dry-run-bot' }, isReady: () => false };
+
+    return { client, channel, sent };
+}
+
+// Returns the payloads the bot sends for the fixture's board, in order
+// Issues and labels come from the fixture, unless another github adapter is given (null = the bot's own client)
+async function renderFixtureBoard(fixture, { github = new FixtureGitHub(fixture.repositories || {}) } = {}) {
+    const { client, channel, sent } = createFakeClient();
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'github-issues-dry-run-'));
+
+    try {
+        const bot = new MultiServerGitHubIssuesBot({ client, github, dataDir });
+
+        const settings = {
+            ...bot.getGuildConfig(GUILD_ID),
+            repositories: Object.keys(fixture.repositories || {}),
+            ...fixture.settings
+        };
+        if (settings.repositories.length === 0) {
+            throw new Error('The fixture has no repositories - add "repositories", or "settings.repositories" with --github');
+        }
+
+        bot.servers.set(GUILD_ID, bot.createServerData(settings, channel, new Map()));
+        await bot.fetchLabelsForServer(GUILD_ID);
+
+        // Same issues as an update cycle, pull requests have their own board
+        const issuesByRepository = new Map();
+        for (const repository of settings.repositories) {
+            const issues = await bot.github.getOpenIssues(repository);
+            issuesByRepository.set(repository, issues.filter(issue => !issue.pull_request));
+        }
+
+        await bot.updateIssueEmbeds(GUILD_ID, issuesByRepository);
+
+        return sent;
+    } finally {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+export { renderFixtureBoard };
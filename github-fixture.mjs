@@ -0,0 +1,144 @@
+// GitHub adapter that serves repositories from a JSON fixture instead of the API, for dry runs and tests:
+// {
+//     "owner/repo": {
+//         "labels": [{ "name": "bug", "color": "d73a4a" }],
+//         "issues": [{ "number": 1, "title": "Crash on start", "labels": ["bug"] }],
+//         "milestones": [], "releases": [], "pullRequests": [], "comments": { "1": [] }
+//     }
+// }
+// Issues only need a number and a title, everything else gets the defaults GitHub would send.
+// Writes (issues, comments) are recorded in `created` instead of being sent.
+class FixtureGitHub {
+    constructor(repositories) {
+        this.repositories = new Map(Object.entries(repositories)
+            .map(([repository, data]) => [repository.toLowerCase(), { repository, ...data }]));
+
+        // Same rate limit state as GitHubCache, fixtures never run out
+        this.rateLimits = new Map();
+        this.blockedUntil = null;
+        this.cycleRequests = 0;
+        this.lastSuccessAt = new Date();
+
+        // Issues and comments created through the adapter: [{ type, repository, ... }]
+        this.created = [];
+    }
+
+    getRepositoryData(repository) {
+        const data = this.repositories.get(repository.toLowerCase());
+        if (!data) {
+            const error = new Error(`Repository ${repository} is not in the fixture`);
+            error.status = 404;
+            throw error;
+        }
+        return data;
+    }
+
+    normalizeIssue(repository, issue) {
+        const { labels = [] } = this.getRepositoryData(repository);
+        const now = new Date().toISOString();
+
+        return {
+            state: 'open',
+            body: '',
+            comments: 0,
+            assignees: [],
+            milestone: null,
+            user: { login: 'octocat' },
+            reactions: { '+1': 0 },
+            created_at: now,
+            updated_at: now,
+            html_url: `https://github.com/${repository}/issues/${issue.number}`,
+            repository_url: `https://api.github.com/repos/${repository}`,
+            ...issue,
+            // Labels can be given by name, colors come from the repository's labels
+            labels: (issue.labels || []).map(label => typeof label === 'string'
+                ? labels.find(candidate => candidate.name.toLowerCase() === label.toLowerCase()) || { name: label }
+                : label)
+        };
+    }
+
+    getRateLimit() {
+        return null;
+    }
+
+    isQuotaLow() {
+        return false;
+    }
+
+    startCycle() {}
+
+    invalidate() {}
+
+    async getOpenIssues(repository) {
+        const { repository: name, issues = [] } = this.getRepositoryData(repository);
+        return issues
+            .map(issue => this.normalizeIssue(name, issue))
+            .filter(issue => issue.state === 'open');
+    }
+
+    async getOpenPullRequests(repository) {
+        return this.getRepositoryData(repository).pullRequests || [];
+    }
+
+    async getMilestones(repository) {
+        const { repository: name, milestones = [] } = this.getRepositoryData(repository);
+        return milestones.map(milestone => ({ ...milestone, repository: name }));
+    }
+
+    async getReleases(repository) {
+        return this.getRepositoryData(repository).releases || [];
+    }
+
+    async getCurrentIssue(repository, number) {
+        const { repository: name, issues = [] } = this.getRepositoryData(repository);
+        const issue = issues.find(candidate => candidate.number === number);
+        if (!issue) {
+            const error = new Error(`Issue ${repository}#${number} is not in the fixture`);
+            error.status = 404;
+            throw error;
+        }
+        return this.normalizeIssue(name, issue);
+    }
+
+    async getLinkedPullRequests() {
+        return [];
+    }
+
+    async getIssueComments(repository, number) {
+        return this.getRepositoryData(repository).comments?.[number] || [];
+    }
+
+    async getLabels(repository) {
+        return this.getRepositoryData(repository).labels || [];
+    }
+
+    async getRepository(repository) {
+        return { full_name: this.getRepositoryData(repository).repository };
+    }
+
+    async searchIssues(query) {
+        // Plain text search over the titles of every repository
+        const words = query.toLowerCase().split(/\s+/).filter(word => word && !word.includes(':'));
+        const items = [];
+        for (const { repository, issues = [] } of this.repositories.values()) {
+            items.push(...issues
+                .filter(issue => words.every(word => issue.title.toLowerCase().includes(word)))
+                .map(issue => this.normalizeIssue(repository, issue)));
+        }
+        return { total_count: items.length, items };
+    }
+
+    async createIssue(repository, { title, body, labels }) {
+        const { repository: name, issues = [] } = this.getRepositoryData(repository);
+        const number = Math.max(0, ...issues.map(issue => issue.number)) + 1;
+        this.created.push({ type: 'issue', repository: name, number, title, body, labels });
+        return this.normalizeIssue(name, { number, title, body, labels });
+    }
+
+    async createComment(repository, number, body) {
+        this.created.push({ type: 'comment', repository: this.getRepositoryData(repository).repository, number, body });
+        return { id: this.created.length, body };
+    }
+}
+
+export default FixtureGitHub;
@@ -0,0 +1,350 @@
+const PULL_REQUESTS_QUERY = `
+    query($owner: String!, $repo: String!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+            pullRequests(states: OPEN, first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+                pageInfo { hasNextPage endCursor }
+                nodes {
+                    number
+                    title
+                    url
+                    isDraft
+                    createdAt
+                    updatedAt
+                    author { login }
+                    reviewDecision
+                    commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+                }
+            }
+        }
+    }
+`;
+
+// List endpoints polled every update cycle, the only responses kept for conditional requests
+// (single issues, timelines, comments and searches would pile up for the life of the process)
+const CONDITIONAL_REQUEST_PATH = /^\/repos\/[^/]+\/[^/]+\/(?:issues|labels|milestones|releases)$/;
+
+// Share of the rate limit kept for commands (refresh, search, issue creation) when update cycles defer servers
+const RATE_LIMIT_RESERVE = 0.05;
+
+// Shared GitHub data layer: every repository is fetched once per update cycle for all servers,
+// and conditional requests (ETags) make unchanged pages free of rate limit cost
+class GitHubCache {
+    constructor(octokit, metrics) {
+        this.octokit = octokit;
+        this.metrics = metrics;
+        this.metrics.counter('github_requests_total', 'GitHub API requests by response status (304 = served from the ETag cache)');
+
+        // Conditional request cache of the polled list endpoints: URL -> { etag, response }
+        this.responses = new Map();
+
+        // Results of the current update cycle: "type:owner/repo[:number]" -> Promise
+        this.results = new Map();
+
+        // Latest rate limit headers: resource (core, graphql, search) -> { limit, remaining, reset }
+        this.rateLimits = new Map();
+
+        // Set after a rate limit error, no requests are sent before this time
+        this.blockedUntil = null;
+
+        // Requests of the current update cycle that counted against the core rate limit
+        this.cycleRequests = 0;
+
+        // Time of the last request GitHub answered (including 304 Not Modified), used for readiness
+        this.lastSuccessAt = null;
+
+        this.octokit.hook.wrap('request', (request, options) => this.conditionalRequest(request, options));
+    }
+
+    async conditionalRequest(request, options) {
+        if (this.blockedUntil > new Date()) {
+            const error = new Error(`GitHub rate limit reached, requests are paused until ${this.blockedUntil.toLocaleTimeString()}`);
+            error.rateLimited = true;
+            throw error;
+        }
+
+        if (options.method !== 'GET') {
+            return this.trackRateLimit(() => request(options));
+        }
+
+        const { url } = this.octokit.request.endpoint.parse(options);
+        if (!CONDITIONAL_REQUEST_PATH.test(new URL(url).pathname)) {
+            return this.trackRateLimit(() => request(options));
+        }
+
+        const cached = this.responses.get(url);
+
+        if (cached) {
+            options.headers = { ...options.headers, 'if-none-match': cached.etag };
+        }
+
+        try {
+            const response = await this.trackRateLimit(() => request(options));
+            if (response.headers.etag) {
+                this.responses.set(url, { etag: response.headers.etag, response });
+            }
+            return response;
+        } catch (error) {
+            // 304 Not Modified - reuse the cached page (also keeps its Link header for pagination)
+            if (error.status === 304 && cached) {
+                return cached.response;
+            }
+            throw error;
+        }
+    }
+
+    async trackRateLimit(send) {
+        let headers;
+        try {
+            const response = await send();
+            headers = response.headers;
+            if (headers['x-ratelimit-resource'] === 'core') this.cycleRequests++;
+            this.metrics.inc('github_requests_total', { status: response.status });
+            this.lastSuccessAt = new Date();
+            return response;
+        } catch (error) {
+            headers = error.response?.headers || {};
+            this.metrics.inc('github_requests_total', { status: error.status ?? 'error' });
+            if (error.status === 304) this.lastSuccessAt = new Date();
+
+            // Primary limit used up (403/429 with no requests remaining) or secondary limit (retry-after, or wait a minute)
+            if ([403, 429].includes(error.status)) {
+                const retryAfter = Number(headers['retry-after']);
+                if (retryAfter) {
+                    this.blockedUntil = new Date(Date.now() + retryAfter * 1000);
+                } else if (headers['x-ratelimit-remaining'] === '0') {
+                    this.blockedUntil = new Date(Number(headers['x-ratelimit-reset']) * 1000);
+                } else if (/secondary rate limit/i.test(error.message)) {
+                    this.blockedUntil = new Date(Date.now() + 60 * 1000);
+                }
+
+                if (this.blockedUntil > new Date()) {
+                    console.log(`🛑 GitHub rate limit hit, pausing requests until ${this.blockedUntil.toLocaleTimeString()}`);
+                    error.rateLimited = true;
+                }
+            }
+            throw error;
+        } finally {
+            if (headers?.['x-ratelimit-remaining'] !== undefined) {
+                this.rateLimits.set(headers['x-ratelimit-resource'] || 'core', {
+                    limit: Number(headers['x-ratelimit-limit']),
+                    remaining: Number(headers['x-ratelimit-remaining']),
+                    reset: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+                });
+            }
+        }
+    }
+
+    getRateLimit(resource) {
+        // Limits that already reset are unknown again until the next response
+        const rateLimit = this.rateLimits.get(resource);
+        return rateLimit && rateLimit.reset > new Date() ? rateLimit : null;
+    }
+
+    isQuotaLow() {
+        if (this.blockedUntil > new Date()) return true;
+
+        const rateLimit = this.getRateLimit('core');
+        return !!rateLimit && rateLimit.remaining < Math.max(1, rateLimit.limit * RATE_LIMIT_RESERVE);
+    }
+
+    startCycle() {
+        // Forget the previous cycle's results, the next request per repository goes to GitHub again
+        this.results.clear();
+        this.cycleRequests = 0;
+    }
+
+    invalidate(repository) {
+        const repoLower = repository.toLowerCase();
+        for (const key of this.results.keys()) {
+            if (key.split(':')[1] === repoLower) {
+                this.results.delete(key);
+            }
+        }
+    }
+
+    memoize(key, fetcher) {
+        if (!this.results.has(key)) {
+            // Failed fetches are dropped so the next caller retries instead of reusing the error
+            const promise = fetcher().catch(error => {
+                this.results.delete(key);
+                throw error;
+            });
+            this.results.set(key, promise);
+        }
+        return this.results.get(key);
+    }
+
+    getOpenIssues(repository) {
+        // Open issues and pull requests (GitHub returns PRs as issues), most recently updated first
+        return this.memoize(`issues:${repository.toLowerCase()}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const issues = await this.octokit.paginate(this.octokit.rest.issues.listForRepo, {
+                owner,
+                repo,
+                state: 'open',
+                per_page: 100,
+                sort: 'updated',
+                direction: 'desc'
+            });
+
+            console.log(`📦 Fetched ${issues.length} open issues and PRs from ${repository}`);
+            return issues;
+        });
+    }
+
+    getOpenPullRequests(repository) {
+        // Review decision and combined check status aren't in the REST issue list, GraphQL returns them in one query
+        return this.memoize(`pulls:${repository.toLowerCase()}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const pullRequests = [];
+            let cursor = null;
+
+            do {
+                const { repository: data } = await this.octokit.graphql(PULL_REQUESTS_QUERY, { owner, repo, cursor });
+                const { nodes, pageInfo } = data.pullRequests;
+
+                for (const node of nodes) {
+                    pullRequests.push({
+                        repository,
+                        number: node.number,
+                        title: node.title,
+                        html_url: node.url,
+                        draft: node.isDraft,
+                        author: node.author?.login ?? 'ghost',
+                        created_at: node.createdAt,
+                        updated_at: node.updatedAt,
+                        review_decision: node.reviewDecision, // APPROVED, CHANGES_REQUESTED, REVIEW_REQUIRED or null
+                        check_state: node.commits.nodes[0]?.commit.statusCheckRollup?.state ?? null // SUCCESS, FAILURE, ERROR, PENDING, EXPECTED or null
+                    });
+                }
+
+                cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+            } while (cursor);
+
+            console.log(`📦 Fetched ${pullRequests.length} open pull requests from ${repository}`);
+            return pullRequests;
+        });
+    }
+
+    getMilestones(repository) {
+        return this.memoize(`milestones:${repository.toLowerCase()}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const milestones = await this.octokit.paginate(this.octokit.rest.issues.listMilestones, {
+                owner,
+                repo,
+                state: 'open',
+                sort: 'due_on',
+                direction: 'asc',
+                per_page: 100
+            });
+
+            console.log(`📦 Fetched ${milestones.length} open milestones from ${repository}`);
+            return milestones.map(milestone => ({ ...milestone, repository }));
+        });
+    }
+
+    getReleases(repository) {
+        // Only the most recent releases, new ones are detected by their publish date
+        return this.memoize(`releases:${repository.toLowerCase()}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const { data: releases } = await this.octokit.rest.repos.listReleases({
+                owner,
+                repo,
+                per_page: 10
+            });
+            return releases;
+        });
+    }
+
+    getLinkedPullRequests(repository, number) {
+        // Pull requests that mention the issue ("Fixes #123" or a plain reference) show up as cross-references
+        return this.memoize(`linked:${repository.toLowerCase()}:${number}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const events = await this.octokit.paginate(this.octokit.rest.issues.listEventsForTimeline, {
+                owner,
+                repo,
+                issue_number: number,
+                per_page: 100
+            });
+
+            const pullRequests = new Map();
+            for (const event of events) {
+                const source = event.event === 'cross-referenced' ? event.source?.issue : null;
+                if (!source?.pull_request) continue;
+
+                pullRequests.set(source.html_url, {
+                    ...source,
+                    repository: source.repository?.full_name ?? repository
+                });
+            }
+            return [...pullRequests.values()];
+        });
+    }
+
+    getIssueComments(repository, number) {
+        // Oldest first, forum posts mirror the comments added since the last update
+        return this.memoize(`comments:${repository.toLowerCase()}:${number}`, async () => {
+            const [owner, repo] = repository.split('/');
+            return this.octokit.paginate(this.octokit.rest.issues.listComments, {
+                owner,
+                repo,
+                issue_number: number,
+                per_page: 100
+            });
+        });
+    }
+
+    async getRepository(repository) {
+        // Not cached, used to check repositories before they're tracked
+        const [owner, repo] = repository.split('/');
+        const { data } = await this.octokit.rest.repos.get({ owner, repo });
+        return data;
+    }
+
+    async getCurrentIssue(repository, number) {
+        // Not cached: single issues or pull requests of any repository, for /issue view, unfurled references
+        // and issues that just changed (e.g. to find out why they were closed)
+        const [owner, repo] = repository.split('/');
+        const { data } = await this.octokit.rest.issues.get({ owner, repo, issue_number: number });
+        return data;
+    }
+
+    async searchIssues(query, page, perPage) {
+        const { data } = await this.octokit.rest.search.issuesAndPullRequests({
+            q: query,
+            sort: 'updated',
+            order: 'desc',
+            per_page: perPage,
+            page
+        });
+        return data;
+    }
+
+    async createIssue(repository, { title, body, labels }) {
+        const [owner, repo] = repository.split('/');
+        const { data } = await this.octokit.rest.issues.create({ owner, repo, title, body, labels });
+        return data;
+    }
+
+    async createComment(repository, number, body) {
+        const [owner, repo] = repository.split('/');
+        const { data } = await this.octokit.rest.issues.createComment({ owner, repo, issue_number: number, body });
+        return data;
+    }
+
+    getLabels(repository) {
+        return this.memoize(`labels:${repository.toLowerCase()}`, async () => {
+            const [owner, repo] = repository.split('/');
+            const labels = await this.octokit.paginate(this.octokit.rest.issues.listLabelsForRepo, {
+                owner,
+                repo,
+                per_page: 100
+            });
+
+            console.log(`📦 Fetched ${labels.length} labels from ${repository}`);
+            return labels;
+        });
+    }
+}
+
+export default GitHubCache;
@@ -0,0 +1,67 @@
+// Minimal Prometheus metrics registry: counters, gauges and summaries (sum and count, no quantiles),
+// rendered in the text exposition format for GET /metrics
+class Metrics {
+    constructor() {
+        // name -> { type, help, values: Map(labelString -> number), collect }
+        this.metrics = new Map();
+    }
+
+    define(name, type, help, collect = null) {
+        this.metrics.set(name, { type, help, values: new Map(), collect });
+    }
+
+    counter(name, help) {
+        this.define(name, 'counter', help);
+    }
+
+    summary(name, help) {
+        this.define(name, 'summary', help);
+    }
+
+    gauge(name, help, collect) {
+        // collect() returns the current value, or [{ labels, value }] - read on every scrape
+        this.define(name, 'gauge', help, collect);
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const { values } = this.metrics.get(name);
+        const key = this.formatLabels(labels);
+        values.set(key, (values.get(key) ?? 0) + value);
+    }
+
+    observe(name, value, labels = {}) {
+        this.inc(name, { ...labels, __suffix: '_sum' }, value);
+        this.inc(name, { ...labels, __suffix: '_count' });
+    }
+
+    formatLabels(labels) {
+        const { __suffix = '', ...rest } = labels;
+        const pairs = Object.entries(rest).map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return `${__suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''}`;
+    }
+
+    render() {
+        const lines = [];
+
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+            if (metric.collect) {
+                const collected = metric.collect();
+                const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                for (const { labels, value } of samples) {
+                    if (value !== null && value !== undefined) lines.push(`${name}${this.formatLabels(labels)} ${Number(value)}`);
+                }
+                continue;
+            }
+
+            for (const [key, value] of metric.values) {
+                lines.push(`${name}${key} ${value}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+export default Metrics;
@@ -0,0 +1,182 @@
+// Qualifiers usable in group rules, a bare word or "quoted text" is a label
+const QUALIFIERS = ['label', 'milestone', 'assignee', 'author'];
+
+// Group rule expressions, e.g. `bug AND NOT wontfix`, `label:priority-* OR milestone:next` or `assignee:none`
+//
+//   term        bug, "pending release", label:bug, milestone:"v2.0", assignee:alice, author:bob
+//   values      * is a wildcard, none matches issues without any, any matches issues with at least one
+//   operators   NOT, AND, OR (upper case) and parentheses - terms next to each other are ANDed
+//
+// Matching is case-insensitive
+class GroupRule {
+    constructor(expression) {
+        this.expression = expression.trim();
+        this.tokens = this.tokenize(this.expression);
+        this.position = 0;
+
+        if (this.tokens.length === 0) {
+            throw new Error('Rule is empty');
+        }
+
+        this.ast = this.parseOr();
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position].text}" in rule \`${this.expression}\``);
+        }
+    }
+
+    tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|(\w+):(?:"([^"]*)"|([^\s()"]+))|"([^"]*)"|([^\s()"]+))/y;
+
+        while (pattern.lastIndex < expression.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error(`Could not read rule \`${expression}\` at position ${start + 1}`);
+            }
+
+            const [text, open, close, qualifier, quotedValue, value, quotedLabel, word] = match;
+            if (open) tokens.push({ type: '(', text: '(' });
+            else if (close) tokens.push({ type: ')', text: ')' });
+            else if (qualifier) tokens.push(this.createTerm(text.trim(), qualifier.toLowerCase(), quotedValue ?? value));
+            else if (quotedLabel !== undefined) tokens.push(this.createTerm(text.trim(), 'label', quotedLabel));
+            else if (['AND', 'OR', 'NOT'].includes(word)) tokens.push({ type: word, text: word });
+            else tokens.push(this.createTerm(word, 'label', word));
+        }
+
+        return tokens;
+    }
+
+    createTerm(text, qualifier, value) {
+        if (!QUALIFIERS.includes(qualifier)) {
+            throw new Error(`Unknown qualifier "${qualifier}:" - use ${QUALIFIERS.map(name => `${name}:`).join(', ')}`);
+        }
+
+        const lowerValue = value.toLowerCase();
+        const pattern = lowerValue === 'none' || lowerValue === 'any'
+            ? null
+            : new RegExp(`^${lowerValue.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+        return { type: 'term', text, qualifier, value, pattern, any: lowerValue === 'any', none: lowerValue === 'none' };
+    }
+
+    peek() {
+        return this.tokens[this.position]?.type;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek() === 'OR') {
+            this.position++;
+            node = { type: 'OR', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (['AND', 'NOT', 'term', '('].includes(this.peek())) {
+            if (this.peek() === 'AND') this.position++;
+            node = { type: 'AND', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.peek() === 'NOT') {
+            this.position++;
+            return { type: 'NOT', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new Error(`Rule \`${this.expression}\` ends unexpectedly`);
+        }
+
+        if (token.type === '(') {
+            const node = this.parseOr();
+            if (this.tokens[this.position++]?.type !== ')') {
+                throw new Error(`Missing ")" in rule \`${this.expression}\``);
+            }
+            return node;
+        }
+
+        if (token.type !== 'term') {
+            throw new Error(`Unexpected "${token.text}" in rule \`${this.expression}\``);
+        }
+        return token;
+    }
+
+    matches(issue) {
+        return this.evaluate(this.ast, issue);
+    }
+
+    evaluate(node, issue) {
+        switch (node.type) {
+            case 'OR': return this.evaluate(node.left, issue) || this.evaluate(node.right, issue);
+            case 'AND': return this.evaluate(node.left, issue) && this.evaluate(node.right, issue);
+            case 'NOT': return !this.evaluate(node.operand, issue);
+        }
+
+        const values = this.getIssueValues(issue, node.qualifier).map(value => value.toLowerCase());
+        if (node.none) return values.length === 0;
+        if (node.any) return values.length > 0;
+        return values.some(value => node.pattern.test(value));
+    }
+
+    getIssueValues(issue, qualifier) {
+        switch (qualifier) {
+            case 'label': return issue.labels.map(label => typeof label === 'string' ? label : label.name);
+            case 'milestone': return issue.milestone ? [issue.milestone.title] : [];
+            case 'assignee': return (issue.assignees ?? (issue.assignee ? [issue.assignee] : [])).map(assignee => assignee.login);
+            case 'author': return issue.user ? [issue.user.login] : [];
+        }
+        return [];
+    }
+
+    getLabel() {
+        // The label of rules that are just one label without wildcards, e.g. `bug` or `label:"pending release"`
+        const node = this.ast;
+        return node.type === 'term' && node.qualifier === 'label' && node.pattern && !node.value.includes('*') ? node.value : null;
+    }
+
+    getLabelTerms(node = this.ast) {
+        // Label terms the rule asks for (negated ones excluded), used to find the labels a rule is about
+        if (node.type === 'term') return node.qualifier === 'label' && node.pattern ? [node] : [];
+        if (node.type === 'NOT') return [];
+        return [...this.getLabelTerms(node.left), ...this.getLabelTerms(node.right)];
+    }
+
+    matchesLabel(name) {
+        return this.getLabelTerms().some(term => term.pattern.test(name.toLowerCase()));
+    }
+
+    toSearchQuery(node = this.ast) {
+        // GitHub issue search equivalent, or null when the rule can't be expressed (OR, wildcards)
+        const quote = value => /\s/.test(value) ? `"${value}"` : value;
+
+        switch (node.type) {
+            case 'OR':
+                return null;
+            case 'AND': {
+                const left = this.toSearchQuery(node.left);
+                const right = this.toSearchQuery(node.right);
+                return left !== null && right !== null ? `${left} ${right}` : null;
+            }
+            case 'NOT': {
+                const operand = node.operand.type === 'term' ? this.toSearchQuery(node.operand) : null;
+                return operand !== null && !operand.startsWith('no:') ? `-${operand}` : null;
+            }
+        }
+
+        if (node.value.includes('*')) return null;
+        if (node.none) return node.qualifier === 'author' ? null : `no:${node.qualifier}`;
+        if (node.any) return null;
+        return `${node.qualifier}:${quote(node.value)}`;
+    }
+}
+
+export default GroupRule;
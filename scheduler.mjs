@@ -0,0 +1,83 @@
+// First retry after a failed update cycle (doubles with every further failure, up to the regular interval)
+const RETRY_DELAY = 30 * 1000;
+
+// Periodic update cycles chained with setTimeout: a cycle never starts before the previous one finished,
+// failed cycles are retried with exponential backoff, and the interval stretches when the remaining
+// GitHub quota wouldn't last until the rate limit resets
+class UpdateScheduler {
+    constructor(github, runCycle, interval) {
+        this.github = github;
+
+        // async () => boolean, true when every server was updated without errors
+        this.runCycle = runCycle;
+
+        // Regular time between cycles (in milliseconds)
+        this.interval = interval;
+
+        this.timer = null;
+        this.running = false;
+        this.failures = 0;
+        this.nextRun = null;
+    }
+
+    start() {
+        this.schedule(this.interval);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.nextRun = new Date(Date.now() + delay);
+        this.timer = setTimeout(() => this.run(), delay);
+    }
+
+    async run() {
+        this.timer = null;
+        this.nextRun = null;
+        this.running = true;
+
+        let succeeded = false;
+        try {
+            succeeded = await this.runCycle();
+        } catch (error) {
+            console.error('❌ Update cycle failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        this.failures = succeeded ? 0 : this.failures + 1;
+
+        const delay = this.getNextDelay();
+        this.schedule(delay);
+        console.log(`⏰ Next update in ${Math.round(delay / 1000)}s${this.failures > 0 ? ` (retry ${this.failures})` : ''}`);
+    }
+
+    getNextDelay() {
+        const now = Date.now();
+        let delay = this.failures > 0
+            ? Math.min(RETRY_DELAY * 2 ** (this.failures - 1), this.interval)
+            : this.interval;
+
+        // Spread the remaining quota over the time until it resets, based on what the last cycle cost
+        const rateLimit = this.github.getRateLimit('core');
+        if (rateLimit) {
+            const untilReset = Math.max(0, rateLimit.reset.getTime() - now);
+            const cycleCost = Math.max(1, this.github.cycleRequests);
+            const cyclesLeft = Math.floor(rateLimit.remaining / cycleCost);
+
+            const stretched = cyclesLeft > 0 ? untilReset / cyclesLeft : untilReset + 1000;
+            if (stretched > delay) {
+                console.log(`🐢 ${rateLimit.remaining} GitHub requests left until ${rateLimit.reset.toLocaleTimeString()}, stretching the update interval`);
+                delay = stretched;
+            }
+        }
+
+        // Never come back while GitHub asked us to wait
+        if (this.github.blockedUntil) {
+            delay = Math.max(delay, this.github.blockedUntil.getTime() - now + 1000);
+        }
+
+        return Math.round(delay);
+    }
+}
+
+export default UpdateScheduler;
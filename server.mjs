@@ -0,0 +1,80 @@
+import express from 'express';
+import crypto from 'crypto';
+import { config } from './bot.mjs';
+
+function verifyWebhookSignature(secret, payload, signature) {
+    if (!signature) return false;
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`);
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// HTTP endpoints of a bot: webhook, health checks, status and metrics
+function createServer(bot) {
+    const app = express();
+
+    app.get('/', (req, res) => {
+        res.send('');
+    });
+
+    // GitHub webhook endpoint - pushes issue, label and milestone changes instead of waiting for the next poll
+    app.post('/github/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+        if (!config.GITHUB_WEBHOOK_SECRET) {
+            return res.status(404).send('Webhooks are not enabled');
+        }
+
+        if (!Buffer.isBuffer(req.body) || !verifyWebhookSignature(config.GITHUB_WEBHOOK_SECRET, req.body, req.get('X-Hub-Signature-256'))) {
+            console.log('🪝 Rejected webhook with invalid signature');
+            return res.status(401).send('Invalid signature');
+        }
+
+        const event = req.get('X-GitHub-Event');
+        if (event === 'ping') {
+            return res.send('pong');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(req.body.toString('utf8'));
+        } catch (error) {
+            return res.status(400).send('Invalid JSON payload');
+        }
+
+        // Acknowledge right away, GitHub times out deliveries after 10 seconds
+        res.status(202).send('Accepted');
+
+        try {
+            bot.handleWebhookEvent(event, payload);
+        } catch (error) {
+            console.error(`❌ Error handling '${event}' webhook:`, error);
+            bot.metrics.inc('bot_errors_total', { where: 'webhook' });
+        }
+    });
+
+    // Liveness - the process is up and serving requests
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // Readiness - connected to Discord and GitHub answers
+    app.get('/readyz', (req, res) => {
+        const ready = bot.isReady();
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready' });
+    });
+
+    // Per-server state for debugging
+    app.get('/status', (req, res) => {
+        res.json(bot.getStatus());
+    });
+
+    // Prometheus metrics
+    app.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(bot.metrics.render());
+    });
+
+    return app;
+}
+
+export default createServer;
@@ -0,0 +1,65 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Small persistent key/value store backed by a JSON file
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+
+        // Writes are chained so concurrent saves never interleave
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const contents = await fs.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(contents);
+            console.log(`💾 Loaded ${Object.keys(this.data).length} entries from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Error loading ${this.filePath}, starting empty:`, error);
+            }
+            this.data = {};
+        }
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key);
+    }
+
+    keys() {
+        return Object.keys(this.data);
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        return this.save();
+    }
+
+    delete(key) {
+        delete this.data[key];
+        return this.save();
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                // Write to a temporary file first so a crash never leaves half-written JSON behind
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+                await fs.rename(tempPath, this.filePath);
+            } catch (error) {
+                console.error(`❌ Error saving ${this.filePath}:`, error);
+            }
+        });
+        return this.writeQueue;
+    }
+}
+
+export default JsonStore;
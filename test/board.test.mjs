@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { renderFixtureBoard } from '../fixture-board.mjs';
+
+// The bot logs every step of an update, keep the test output to the results
+console.log = () => {};
+
+const example = JSON.parse(await fs.readFile(new URL('../examples/dry-run.json', import.meta.url), 'utf8'));
+
+const issueNumbers = embed => [...embed.description.matchAll(/\[#(\d+)\]/g)].map(match => Number(match[1]));
+
+// A fixture with one group and enough long issues to need several pages
+const longFixture = overflowMode => ({
+    settings: { overflowMode, maxIssuesPerLabel: 100, groups: [{ name: 'bug', rule: 'bug' }] },
+    repositories: {
+        'owner/repo': {
+            labels: [{ name: 'bug', color: 'd73a4a' }],
+            issues: Array.from({ length: 60 }, (_, index) => ({
+                number: index + 1,
+                title: `Crash number ${index + 1} ${'x'.repeat(80)}`,
+                labels: ['bug']
+            }))
+        }
+    }
+});
+
+test('issues land in the first group whose rule they match, in group order', async () => {
+    const sent = await renderFixtureBoard(example);
+    const embeds = sent.map(payload => payload.embeds[0].data);
+
+    assert.deepEqual(embeds.map(embed => embed.title), [
+        '🚀 PENDING RELEASE Issues',
+        '🐛 Bugs',
+        '🏷️ Planned for the next release',
+        '🏷️ UNLABELED Issues'
+    ]);
+    assert.deepEqual(embeds.map(issueNumbers), [[102], [101], [104], [105]]);
+});
+
+test('group colors come from the group, then from the GitHub label', async () => {
+    const sent = await renderFixtureBoard(example);
+    const colors = sent.map(payload => payload.embeds[0].data.color);
+
+    assert.equal(colors[0], 0x0e8a16);
+    assert.equal(colors[1], 0xd73a4a);
+    assert.equal(colors[3], 6710886);
+});
+
+test('multi-group boards show an issue in every group it matches', async () => {
+    const sent = await renderFixtureBoard({ ...example, settings: { ...example.settings, multiGroup: true } });
+
+    assert.deepEqual(issueNumbers(sent[1].embeds[0].data), [101, 102]);
+});
+
+test('paginated groups are one message with page buttons', async () => {
+    const sent = await renderFixtureBoard(longFixture('paginate'));
+
+    assert.equal(sent.length, 1);
+    const [embed] = sent[0].embeds;
+    const pageCount = Number(embed.data.footer.text.match(/Page 1\/(\d+)/)[1]);
+    assert.ok(pageCount > 1);
+    assert.ok(embed.data.description.length <= 4096);
+    assert.equal(sent[0].components.length, 1);
+});
+
+test('split groups continue in further messages with every issue once', async () => {
+    const sent = await renderFixtureBoard(longFixture('split'));
+
+    assert.ok(sent.length > 1);
+    for (const payload of sent) {
+        assert.ok(payload.embeds[0].data.description.length <= 4096);
+        assert.deepEqual(payload.components, []);
+    }
+    assert.deepEqual(
+        sent.flatMap(payload => issueNumbers(payload.embeds[0].data)).sort((a, b) => a - b),
+        Array.from({ length: 60 }, (_, index) => index + 1)
+    );
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GroupRule from '../rules.mjs';
+
+const issue = (labels, extra = {}) => ({ labels: labels.map(name => ({ name })), assignees: [], milestone: null, user: { login: 'octocat' }, ...extra });
+
+test('bare words and quoted text are labels, matched case-insensitively', () => {
+    assert.equal(new GroupRule('bug').matches(issue(['Bug'])), true);
+    assert.equal(new GroupRule('"pending release"').matches(issue(['pending release'])), true);
+    assert.equal(new GroupRule('bug').matches(issue(['enhancement'])), false);
+});
+
+test('NOT, AND, OR and parentheses', () => {
+    const rule = new GroupRule('bug AND NOT wontfix');
+    assert.equal(rule.matches(issue(['bug'])), true);
+    assert.equal(rule.matches(issue(['bug', 'wontfix'])), false);
+
+    const grouped = new GroupRule('(bug OR crash) NOT wontfix');
+    assert.equal(grouped.matches(issue(['crash'])), true);
+    assert.equal(grouped.matches(issue(['crash', 'wontfix'])), false);
+});
+
+test('qualifiers, wildcards, none and any', () => {
+    assert.equal(new GroupRule('label:priority-*').matches(issue(['priority-high'])), true);
+    assert.equal(new GroupRule('milestone:next').matches(issue([], { milestone: { title: 'Next' } })), true);
+    assert.equal(new GroupRule('assignee:none').matches(issue([])), true);
+    assert.equal(new GroupRule('assignee:any').matches(issue([], { assignees: [{ login: 'alice' }] })), true);
+    assert.equal(new GroupRule('author:octocat').matches(issue([])), true);
+    assert.equal(new GroupRule('label:none').matches(issue(['bug'])), false);
+});
+
+test('invalid rules are rejected', () => {
+    assert.throws(() => new GroupRule(''), /Rule is empty/);
+    assert.throws(() => new GroupRule('status:open'), /Unknown qualifier/);
+    assert.throws(() => new GroupRule('bug )'), /Unexpected/);
+});
+
+test('single-label rules and GitHub search queries', () => {
+    assert.equal(new GroupRule('label:"pending release"').getLabel(), 'pending release');
+    assert.equal(new GroupRule('bug AND NOT wontfix').getLabel(), null);
+    assert.equal(new GroupRule('bug AND NOT wontfix').toSearchQuery(), 'label:bug -label:wontfix');
+    assert.equal(new GroupRule('bug OR crash').toSearchQuery(), null);
+});